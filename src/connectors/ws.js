@@ -9,23 +9,39 @@
  * Create Date: Sun Sep 01 2024 13:12:51 GMT+0700 (Krasnoyarsk Standard Time)
  ******************************************************************************************/
 import WebSocket from 'ws';
-import { readFileSync, existsSync, writeFileSync, statSync } from 'fs';
+import { readFileSync, existsSync, writeFileSync } from 'fs';
 import path, { resolve } from 'path';
 import { fileURLToPath } from 'url';
-import { SESSION_FILE_NAME, PACKAGE_NAME, CLOUD_LOG_PREFIX } from '../utils/constants.js';
+import {
+  DEPLOY_DATA_FILE_NAME,
+  PROFILE_DEFAULT,
+  TOKEN_ENV_NAME,
+  PACKAGE_NAME,
+  CLOUD_LOG_PREFIX,
+  SECRET_MASK,
+  SECRET_NAME_REGEX,
+} from '../utils/constants.js';
 import {
   getPackagePath,
   console,
   getConfigFilePath,
+  getConfigOverlayFilePath,
+  interpolateEnv,
+  mapStrings,
   as,
   getFile,
+  getTmpDir,
   wait,
   stdoutWriteStart,
 } from '../utils/lib.js';
 import Crypto from '../utils/crypto.js';
 import Inquirer from '../utils/inquirer.js';
-import { checkConfig, getPosition } from 'conhos-vscode/dist/lib.js';
+import { checkConfig, getPosition, parseEnvironmentVariable } from 'conhos-vscode/dist/lib.js';
 import Yaml from '../utils/yaml.js';
+import EnvFile from '../utils/env-file.js';
+import Check from '../utils/check.js';
+import Include from '../utils/include.js';
+import Profiles from '../utils/profiles.js';
 import {
   PROTOCOL_CLI,
   VOLUME_LOCAL_POSTFIX_REGEX,
@@ -35,11 +51,14 @@ import {
   VOLUME_UPLOAD_MAX_SIZE,
   WEBSOCKET_ADDRESS,
 } from 'conhos-vscode/dist/constants.js';
-import { tmpdir } from 'os';
 
 const __filenameNew = fileURLToPath(import.meta.url);
 
 const crypto = new Crypto();
+const envFile = new EnvFile();
+const check = new Check();
+const include = new Include();
+const profiles = new Profiles();
 
 /**
  * @typedef {import('conhos-vscode').DeployData} DeployData
@@ -48,7 +67,8 @@ const crypto = new Crypto();
  * @typedef {import('http').request} HttpRequest
  * @typedef {import('https').request} HttpsRequest
  * @typedef {import('conhos-vscode').Volumes} Volumes
- * @typedef {import('conhos-vscode').CheckConfigResult} CheckConfigResult
+ * @typedef {import('../types/interfaces.js').EnvVariableMissing} EnvVariableMissing
+ * @typedef {import('../types/interfaces.js').ConfigOrigin} ConfigOrigin
  */
 /**
  * @template {keyof WSMessageDataCli} T
@@ -80,6 +100,25 @@ const crypto = new Crypto();
  *  tail?: number
  *  clear?: boolean;
  *  clearCache?: boolean;
+ *  dryRun?: boolean;
+ *  json?: boolean;
+ *  concurrency?: number;
+ *  excludeService?: string[];
+ *  watch?: boolean;
+ *  env?: string;
+ *  envFile?: string[];
+ *  resolved?: boolean;
+ *  format?: import('../types/interfaces.js').DiagnosticsFormat;
+ *  output?: string;
+ *  fromCompose?: string;
+ *  config?: string;
+ *  cwd?: string;
+ *  all?: boolean;
+ *  filter?: string[];
+ *  profile?: string;
+ *  tokenFile?: string;
+ *  name?: string;
+ *  expires?: number;
  *  interractive?: boolean;
  *  ssl?: boolean;
  *  project?: string;
@@ -158,6 +197,13 @@ export default class WS {
    */
   userId;
 
+  /**
+   * Login profile which session is used
+   * @protected
+   * @type {string}
+   */
+  profile;
+
   /**
    * @type {string}
    */
@@ -168,6 +214,18 @@ export default class WS {
    */
   configText = '';
 
+  /**
+   * Config as it is written in the file, without included files and environment overlay
+   * @type {ConfigFile | null}
+   */
+  configSource = null;
+
+  /**
+   * Files and fields where values of config are set, it is null when config is not read from files
+   * @type {ConfigOrigin | null}
+   */
+  configOrigin = null;
+
   /**
    * @type {WebSocket | null}
    */
@@ -212,17 +270,34 @@ export default class WS {
    */
   volumes = {};
 
+  /**
+   * Called instead of exit of process when the command is finished
+   * @public
+   * @type {((code: number) => void) | null}
+   */
+  onExit = null;
+
   /**
    * @param {Options} options
+   * @param {WS | null} [session=null] - finished command which authenticated connection is used
    */
-  constructor(options) {
+  constructor(options, session = null) {
     this.options = options;
-    this.userId = '';
-    this.conn = new WebSocket(WEBSOCKET_ADDRESS, PROTOCOL_CLI);
-    this.token = '';
-    this.start();
+    this.userId = session ? session.userId : '';
+    this.conn = session ? session.conn : new WebSocket(WEBSOCKET_ADDRESS, PROTOCOL_CLI);
+    this.token = session ? session.token : '';
+    this.profile = session ? session.profile : profiles.getName(options.profile);
+    if (session) {
+      this.package = session.package;
+      this.connId = session.connId;
+      this.deployData = session.deployData;
+      // Listener of the previous command is replaced
+      this.conn?.removeAllListeners('message');
+    } else {
+      this.start();
+    }
     this.listener();
-    this.configFile = getConfigFilePath();
+    this.configFile = getConfigFilePath(options.config);
   }
 
   /**
@@ -260,6 +335,10 @@ export default class WS {
    */
   setDeployData(data) {
     this.deployData = data;
+    if (data) {
+      // Saved to check config without connection by validate command
+      writeFileSync(getPackagePath(DEPLOY_DATA_FILE_NAME), JSON.stringify(data));
+    }
   }
 
   /**
@@ -319,15 +398,7 @@ export default class WS {
     this.setUserId(userId);
 
     if (!skipSetProject) {
-      const conf = await this.getConfig();
-      if (conf) {
-        const { config, volumes } = conf;
-        if (config) {
-          this.setProject(config.name);
-          this.config = config;
-          this.volumes = volumes;
-        }
-      }
+      await this.loadConfig();
     }
 
     if ((!data && !this.options.isLogin) || !token) {
@@ -363,6 +434,30 @@ export default class WS {
     );
   }
 
+  /**
+   * Run command with connection of session, token of it is checked already
+   * @public
+   */
+  async resume() {
+    await this.loadConfig();
+    this.handler({ failedLogin: false, sessionExists: true });
+  }
+
+  /**
+   * @private
+   */
+  async loadConfig() {
+    const conf = await this.getConfig();
+    if (conf) {
+      const { config, volumes } = conf;
+      if (config) {
+        this.setProject(config.name);
+        this.config = config;
+        this.volumes = volumes;
+      }
+    }
+  }
+
   /**
    * @param {string} connId
    */
@@ -428,12 +523,34 @@ export default class WS {
         return null;
       }
     }
-    const data = readFileSync(this.configFile).toString();
-    this.configText = data;
+    let data = readFileSync(this.configFile).toString();
     let config = this.yaml.parse(data);
     if (!config) {
       process.exit(1);
     }
+    this.configSource = structuredClone(config);
+    const includeRes = include.resolve({ config, configText: data, configFile: this.configFile });
+    if (includeRes.error) {
+      const { msg, data: _data, file, position } = includeRes.error;
+      console.error(
+        `${msg}: ${_data}`,
+        // Positions are zero based
+        `${file}:${position.lineStart + 1}:${position.columnStart + 1}`
+      );
+      process.exit(1);
+    }
+    // Included fields are missing in the text, checks of them point to the nearest field
+    config = includeRes.config;
+    this.configOrigin = includeRes.origin;
+    if (this.options.env) {
+      ({ config, origin: this.configOrigin } = this.mergeConfigOverlay(
+        { config, origin: this.configOrigin },
+        this.options.env
+      ));
+      // Positions of checks are counted in the merged config
+      data = this.yaml.stringify(config);
+    }
+    this.configText = data;
 
     const changeRes = await this.changeConfigFileVolumes({ config, userId: this.userId });
     if (changeRes.error) {
@@ -451,7 +568,17 @@ export default class WS {
         { config, configText: data },
         { deployData: this.deployData }
       );
-      checkErr = checkErr.concat(this.checkVolumes({ config, configText: data }));
+      checkErr = checkErr.concat(
+        check.checkVolumes({
+          config,
+          configText: data,
+          cwd: path.dirname(this.configFile),
+        })
+      );
+      checkErr = checkErr.concat(check.checkHooks({ config, configText: data }));
+      checkErr = checkErr.concat(
+        check.checkEnvFiles({ config, configText: data, cwd: path.dirname(this.configFile) })
+      );
       let checkExit = false;
       checkErr.forEach((item) => {
         if (!withoutWarns) {
@@ -472,6 +599,202 @@ export default class WS {
     return { config, volumes };
   }
 
+  /**
+   * @private
+   * @param {{ config: ConfigFile; origin: ConfigOrigin }} resolved
+   * @param {string} env
+   * @returns {{ config: ConfigFile; origin: ConfigOrigin }}
+   */
+  mergeConfigOverlay(resolved, env) {
+    const overlayFile = getConfigOverlayFilePath(this.configFile, env);
+    if (!existsSync(overlayFile)) {
+      console.error(`Config file of environment "${env}" is not exists`, overlayFile);
+      process.exit(1);
+    }
+    const overlayText = readFileSync(overlayFile).toString();
+    const overlay = this.yaml.parse(overlayText);
+    if (!overlay) {
+      process.exit(1);
+    }
+    console.info(`Using config of environment "${env}"`, overlayFile);
+    return include.overlay(resolved, {
+      config: overlay,
+      configText: overlayText,
+      configFile: overlayFile,
+    });
+  }
+
+  /**
+   * Substitute environment variables in a copy of config,
+   * the config itself keeps expressions to be saved to metadata and releases.
+   * Precedence of variables from the highest: shell, files of --env-file option,
+   * env_file of service, env_file of project.
+   * Variables of service env_file are added to its environment if they are not set there
+   * @protected
+   * @param {ConfigFile} config
+   * @param {{
+   *  mask?: boolean;
+   *  escape?: boolean;
+   * }} [options={}] - replace values of secrets with mask, keep $$ for the cloud which substitutes
+   *  variables of config again
+   * @returns {{
+   *  config: ConfigFile;
+   *  configText: string;
+   *  env: WSMessageDataCli['prepareDeployServer']['env'];
+   *  missing: EnvVariableMissing[];
+   * }}
+   */
+  resolveEnvVariables(config, { mask, escape } = {}) {
+    const cwd = path.dirname(this.configFile);
+    const projectEnvFile = envFile.read(envFile.get(config), cwd);
+    const optionEnvFile = envFile.read(this.options.envFile || [], cwd);
+
+    /**
+     * @param {Record<string, string | undefined>} env
+     * @returns {Record<string, string | undefined>}
+     */
+    const maskSecrets = (env) => {
+      if (!mask) {
+        return env;
+      }
+      /**
+       * @type {Record<string, string | undefined>}
+       */
+      const _env = {};
+      Object.keys(env).forEach((item) => {
+        _env[item] = SECRET_NAME_REGEX.test(item) && env[item] ? SECRET_MASK : env[item];
+      });
+      return _env;
+    };
+    const projectEnv = maskSecrets({ ...projectEnvFile, ...optionEnvFile, ...process.env });
+
+    /**
+     * @type {ReturnType<WS['resolveEnvVariables']>}
+     */
+    const res = { config, configText: '', env: {}, missing: [] };
+    /**
+     * @type {string[]}
+     */
+    const unset = [];
+    /**
+     * @template T
+     * @param {T} value
+     * @param {Record<string, string | undefined>} env
+     * @param {string[]} keys
+     * @returns {T}
+     */
+    const resolveValue = (value, env, keys) =>
+      mapStrings(
+        value,
+        (str, _keys) => {
+          const {
+            value: _value,
+            used,
+            unset: _unset,
+            missing,
+          } = interpolateEnv(str, env, { escape });
+          Object.assign(res.env, used);
+          _unset.forEach((item) => {
+            if (unset.indexOf(item) === -1) {
+              unset.push(item);
+            }
+          });
+          missing.forEach((item) => {
+            res.missing.push({ ...item, path: _keys });
+          });
+          return _value;
+        },
+        keys
+      );
+
+    /**
+     * @type {Record<string, any>}
+     */
+    const _config = {};
+    Object.keys(config).forEach((key) => {
+      if (key !== 'services') {
+        _config[key] = resolveValue(config[/** @type {keyof ConfigFile} */ (key)], projectEnv, [
+          key,
+        ]);
+      }
+    });
+    const { services } = config;
+    /**
+     * @type {ConfigFile['services']}
+     */
+    const _services = {};
+    Object.keys(services || {}).forEach((item) => {
+      const serviceEnvFile = envFile.read(envFile.get(services[item]), cwd);
+      const serviceEnv = maskSecrets({
+        ...projectEnvFile,
+        ...serviceEnvFile,
+        ...optionEnvFile,
+        ...process.env,
+      });
+      const service = resolveValue(services[item], serviceEnv, ['services', item]);
+      const environment = service.environment || [];
+      const names = environment.map((_item) => parseEnvironmentVariable(_item)?.name);
+      Object.keys(serviceEnvFile).forEach((name) => {
+        if (names.indexOf(name) === -1) {
+          environment.push(`${name}=${serviceEnv[name] || ''}`);
+        }
+      });
+      if (environment.length) {
+        service.environment = mask
+          ? environment.map((_item) => {
+              const variable = parseEnvironmentVariable(_item);
+              return variable && variable.value && SECRET_NAME_REGEX.test(variable.name)
+                ? `${variable.name}=${SECRET_MASK}`
+                : _item;
+            })
+          : environment;
+      }
+      _services[item] = service;
+    });
+    _config.services = _services;
+
+    res.config = /** @type {ConfigFile} */ (_config);
+    // Text is taken from the resolved config, so both have the same values
+    res.configText = this.yaml.update(this.configText, res.config);
+    unset.forEach((item) => {
+      console.warn('Environment variable is not set, an empty string is used', item);
+    });
+    return res;
+  }
+
+  /**
+   * @protected
+   * @param {EnvVariableMissing[]} missing
+   */
+  printEnvVariablesMissing(missing) {
+    if (!this.config) {
+      return;
+    }
+    const { config, configText, configOrigin } = this;
+    missing.forEach(({ name, message, path: keys }) => {
+      let file = this.configFile;
+      let position;
+      if (configOrigin) {
+        ({ file, position } = include.getLocation(configOrigin, keys));
+      } else {
+        const [field, service, property] = keys;
+        position = getPosition(
+          /** @type {typeof as<Parameters<typeof getPosition>[0]>} */ (as)({
+            config,
+            configText,
+            field,
+            service: field === 'services' ? { name: service, property, value: null } : null,
+          })
+        );
+      }
+      console.error(
+        `Required environment variable "${name}" is missing: ${message}`,
+        // Positions are zero based
+        `${file}:${position.lineStart + 1}:${position.columnStart + 1}`
+      );
+    });
+  }
+
   /**
    *
    * @param {{userId: string; config: ConfigFile}} param0
@@ -559,7 +882,7 @@ export default class WS {
           }
 
           const tmpFilePath = resolve(
-            tmpdir(),
+            getTmpDir(),
             `${userId}_${config.name}_${serviceKey}_${filename}`
           );
           writeFileSync(tmpFilePath, file);
@@ -576,7 +899,11 @@ export default class WS {
    * @param {ConfigFile} config
    */
   writeConfigFile(config) {
-    writeFileSync(this.configFile, this.yaml.stringify(config));
+    // Existing file is edited in place to keep comments and anchors
+    const data = existsSync(this.configFile)
+      ? this.yaml.update(readFileSync(this.configFile).toString(), config)
+      : this.yaml.stringify(config);
+    writeFileSync(this.configFile, data);
   }
 
   /**
@@ -584,12 +911,7 @@ export default class WS {
    * @returns {Session | null}
    */
   readSessionFile() {
-    const sessionFilePath = getPackagePath(SESSION_FILE_NAME);
-    if (!existsSync(sessionFilePath)) {
-      return null;
-    }
-    const authStr = readFileSync(sessionFilePath).toString();
-    return JSON.parse(authStr);
+    return profiles.readSession(this.profile);
   }
 
   /**
@@ -598,10 +920,16 @@ export default class WS {
   async listenSetSocket(msg, skipSetProject = false) {
     const { connId } = msg;
     this.setConnId(connId);
-    const authData = this.readSessionFile();
-
     this.setDeployData(msg.data.deployData);
 
+    // Token of option or of environment skips session file and password prompt
+    const optionToken = this.options.isLogin ? null : this.readTokenOption();
+    if (optionToken) {
+      this.sendCheckToken(optionToken, skipSetProject);
+      return;
+    }
+
+    const authData = this.readSessionFile();
     if (authData) {
       this.setUserId(authData.uid);
       if (authData.iv !== '') {
@@ -620,36 +948,15 @@ export default class WS {
           return;
         }
 
-        /** @type {typeof this.sendMessage<'checkTokenServer'>} */ (this.sendMessage)({
-          token,
-          type: 'checkTokenServer',
-          packageName: PACKAGE_NAME,
-          data: {
-            skipSetProject,
-          },
-          message: '',
-          status: 'info',
-          userId: this.userId,
-          connId: this.connId,
-        });
+        this.sendCheckToken(token, skipSetProject);
       } else {
-        const authPath = getPackagePath(SESSION_FILE_NAME);
+        const authPath = profiles.getSessionFilePath(this.profile);
         console.log("Now it's using the saved session token:", authPath);
-        /** @type {typeof this.sendMessage<'checkTokenServer'>} */ (this.sendMessage)({
-          token: authData.content,
-          type: 'checkTokenServer',
-          packageName: PACKAGE_NAME,
-          data: {
-            skipSetProject,
-          },
-          message: '',
-          status: 'info',
-          userId: this.userId,
-          connId: this.connId,
-        });
+        this.sendCheckToken(authData.content, skipSetProject);
       }
     } else if (!this.options.isLogin) {
-      console.warn(`You are not authenticated, run "${PACKAGE_NAME} login" first`);
+      const profileOption = this.profile === PROFILE_DEFAULT ? '' : ` --profile ${this.profile}`;
+      console.warn(`You are not authenticated, run "${PACKAGE_NAME} login${profileOption}" first`);
       process.exit(1);
     } else {
       this.handler({ failedLogin: false, sessionExists: false });
@@ -658,86 +965,51 @@ export default class WS {
 
   /**
    * @private
-   * @param {{config: ConfigFile; configText: string}} param0
-   * @returns {CheckConfigResult[]}
+   * @param {string} token
+   * @param {boolean} skipSetProject
    */
-  checkVolumes({ config, configText }) {
-    /**
-     * @type {CheckConfigResult[]}
-     */
-    const res = [];
-    const { services } = config;
-    if (!services) {
-      return res;
-    }
-    Object.keys(services).forEach((item) => {
-      const { volumes, active } = services[item];
-      if (!active || !volumes) {
-        return;
-      }
-      volumes.forEach((_item) => {
-        const localM = _item.match(VOLUME_LOCAL_REGEX);
-        if (!localM) {
-          return;
-        }
-        const localPath = localM[0].replace(VOLUME_LOCAL_POSTFIX_REGEX, '');
-        if (!existsSync(localPath)) {
-          res.push({
-            msg: `Service "${item}" has wrong volume "${_item}". Local path is not exists:`,
-            data: localPath,
-            exit: true,
-            position: getPosition({
-              config,
-              configText,
-              field: 'services',
-              service: {
-                name: item,
-                property: 'volumes',
-                value: _item,
-              },
-            }),
-          });
-        } else {
-          const stats = statSync(localPath);
-          if (stats.isDirectory()) {
-            res.push({
-              msg: `Service "${item}" has wrong volume "${_item}".`,
-              data: "Directory can't be a volume, only files",
-              exit: true,
-              position: getPosition({
-                config,
-                configText,
-                field: 'services',
-                service: {
-                  name: item,
-                  property: 'volumes',
-                  value: _item,
-                },
-              }),
-            });
-          }
-          if (stats.size >= VOLUME_UPLOAD_MAX_SIZE) {
-            res.push({
-              msg: `Volume file '${localPath}' of service "${item}" is too big.`,
-              data: `Maximum size of volume file is: ${VOLUME_UPLOAD_MAX_SIZE / 1000}kb`,
-              exit: true,
-              position: getPosition({
-                config,
-                configText,
-                field: 'services',
-                service: {
-                  name: item,
-                  property: 'volumes',
-                  value: localPath,
-                },
-              }),
-            });
-          }
-        }
-      });
+  sendCheckToken(token, skipSetProject) {
+    /** @type {typeof this.sendMessage<'checkTokenServer'>} */ (this.sendMessage)({
+      token,
+      type: 'checkTokenServer',
+      packageName: PACKAGE_NAME,
+      data: {
+        skipSetProject,
+      },
+      message: '',
+      status: 'info',
+      userId: this.userId,
+      connId: this.connId,
     });
+  }
 
-    return res;
+  /**
+   * Token of --token-file option, then of environment variable
+   * @private
+   * @returns {string | null}
+   */
+  readTokenOption() {
+    const { tokenFile } = this.options;
+    if (tokenFile) {
+      const tokenFilePath = resolve(process.cwd(), tokenFile);
+      if (!existsSync(tokenFilePath)) {
+        console.error('Token file is not exists', tokenFilePath);
+        process.exit(1);
+      }
+      const token = readFileSync(tokenFilePath).toString().trim();
+      if (!token) {
+        console.error('Token file is empty', tokenFilePath);
+        process.exit(1);
+      }
+      console.log("Now it's using the token of file:", tokenFilePath);
+      return token;
+    }
+    const token = (process.env[TOKEN_ENV_NAME] || '').trim();
+    if (!token) {
+      return null;
+    }
+    console.log("Now it's using the token of environment variable:", TOKEN_ENV_NAME);
+    return token;
   }
 
   /**
@@ -778,11 +1050,23 @@ export default class WS {
     const interval = setInterval(() => {
       if (this.canClose) {
         clearInterval(interval);
-        process.exit(!data ? 1 : data?.code !== undefined ? data.code : 0);
+        this.exit(!data ? 1 : data?.code !== undefined ? data.code : 0);
       }
     }, 0);
   }
 
+  /**
+   * @protected
+   * @param {number} code
+   */
+  exit(code) {
+    if (this.onExit) {
+      this.onExit(code);
+      return;
+    }
+    process.exit(code);
+  }
+
   /**
    * @param {string} userId
    */
@@ -0,0 +1,56 @@
+/******************************************************************************************
+ * Repository: Conhos cli
+ * File name: config.js
+ * Author: Sergey Kolmiller
+ * Email: <kolserdav@conhos.ru>
+ * License: MIT
+ * License text: See LICENSE file
+ * Copyright: kolserdav, All rights reserved (c)
+ * Create Date: Mon Oct 19 2026 12:00:00 GMT+0700 (Krasnoyarsk Standard Time)
+ ******************************************************************************************/
+import Console from 'console';
+import WS from '../connectors/ws.js';
+import { console, parseMessageCli } from '../utils/lib.js';
+
+/**
+ * @typedef {import("../connectors/ws.js").Options} Options
+ */
+
+export default class Config extends WS {
+  listener() {
+    if (!this.conn) {
+      return;
+    }
+    this.conn.on('message', async (d) => {
+      const rawMessage = /** @type {typeof parseMessageCli<any>} */ (parseMessageCli)(d.toString());
+      if (rawMessage === null) {
+        return;
+      }
+      await this.handleCommonMessages(rawMessage);
+    });
+  }
+
+  /**
+   * @public
+   * @type {WS['handler']}
+   */
+  async handler() {
+    if (!this.config) {
+      return;
+    }
+
+    if (!this.options.resolved) {
+      Console.log(this.configText);
+      process.exit(0);
+    }
+
+    const resolved = this.resolveEnvVariables(this.config, { mask: true });
+    if (resolved.missing.length) {
+      this.printEnvVariablesMissing(resolved.missing);
+      process.exit(1);
+    }
+    console.info('Values of secrets are masked', '');
+    Console.log(this.yaml.stringify(resolved.config));
+    process.exit(0);
+  }
+}
@@ -0,0 +1,273 @@
+/******************************************************************************************
+ * Repository: Conhos cli
+ * File name: deploy-all.js
+ * Author: Sergey Kolmiller
+ * Email: <kolserdav@conhos.ru>
+ * License: MIT
+ * License text: See LICENSE file
+ * Copyright: kolserdav, All rights reserved (c)
+ * Create Date: Mon Oct 19 2026 12:00:00 GMT+0700 (Krasnoyarsk Standard Time)
+ ******************************************************************************************/
+import Console from 'console';
+import chalk from 'chalk';
+import ignore from 'ignore';
+import { existsSync, readdirSync, readFileSync } from 'fs';
+import { relative, resolve } from 'path';
+import { CONFIG_FILE_NAME, CONFIG_FILE_NAME_A } from '../utils/constants.js';
+import { console } from '../utils/lib.js';
+import Yaml from '../utils/yaml.js';
+import Deploy from './deploy.js';
+
+/**
+ * @typedef {import("../connectors/ws.js").Options} Options
+ * @typedef {import('conhos-vscode').ConfigFile & { depends_on?: string[] }} ProjectConfig
+ * @typedef {{
+ *  name: string;
+ *  dir: string;
+ *  configFile: string;
+ *  dependsOn: string[];
+ * }} Project
+ * @typedef {'pending' | 'running' | 'success' | 'failed'} ProjectStatus
+ */
+
+/**
+ * Directories which are not searched for config files
+ */
+const SKIPPED_DIRS = ['node_modules'];
+
+/**
+ * @type {Record<ProjectStatus, string>}
+ */
+const SUMMARY_STATUSES = {
+  pending: chalk.gray('skipped'),
+  running: chalk.red('failed'),
+  success: chalk.green('success'),
+  failed: chalk.red('failed'),
+};
+
+const yaml = new Yaml();
+
+/**
+ * Deploy all projects of the directory tree over one authenticated session
+ */
+export default class DeployAll {
+  /**
+   * @type {Options}
+   */
+  options;
+
+  /**
+   * Projects in the order of deploy
+   * @type {Project[]}
+   */
+  projects = [];
+
+  /**
+   * @type {Record<string, ProjectStatus>}
+   */
+  statuses = {};
+
+  /**
+   * @param {Options} options
+   * @param {string[]} [serviceNames=[]]
+   */
+  constructor(options, serviceNames = []) {
+    this.options = options;
+    this.handler(serviceNames);
+  }
+
+  /**
+   * @private
+   * @param {string[]} serviceNames
+   */
+  handler(serviceNames) {
+    if (serviceNames.length) {
+      console.error('Names of services can not be used with --all', serviceNames.join(', '));
+      process.exit(1);
+    }
+    if (this.options.watch) {
+      console.error('Option --watch can not be used with --all', 'Run it in directory of project');
+      process.exit(1);
+    }
+    if (this.options.config) {
+      console.error('Option --config can not be used with --all', this.options.config);
+      process.exit(1);
+    }
+
+    const root = process.cwd();
+    /**
+     * @type {Project[]}
+     */
+    const found = [];
+    this.findProjects(root, root, found);
+    const projects = this.filterProjects(found);
+    if (projects.length === 0) {
+      console.warn('Projects are not found', root);
+      process.exit(1);
+    }
+
+    this.projects = this.sortProjects(projects, found);
+    this.projects.forEach(({ configFile }) => {
+      this.statuses[configFile] = 'pending';
+    });
+    console.info(
+      'Projects will be deployed in order',
+      this.projects.map(({ name }) => name).join(' -> ')
+    );
+
+    process.on('exit', () => {
+      this.printSummary();
+    });
+    this.deploy(0, null);
+  }
+
+  /**
+   * @private
+   * @param {number} index
+   * @param {Deploy | null} session
+   */
+  deploy(index, session) {
+    const project = this.projects[index];
+    if (!project) {
+      process.exit(0);
+    }
+    this.statuses[project.configFile] = 'running';
+    console.info(`Starting deploy project "${project.name}"`, project.dir || '.');
+
+    const deploy = new Deploy({ ...this.options, config: project.configFile }, [], session);
+    deploy.onExit = (code) => {
+      if (code !== 0) {
+        this.statuses[project.configFile] = 'failed';
+        process.exit(code);
+      }
+      this.statuses[project.configFile] = 'success';
+      this.deploy(index + 1, deploy);
+    };
+    if (session) {
+      deploy.resume();
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} root
+   * @param {string} dirPath
+   * @param {Project[]} found
+   */
+  findProjects(root, dirPath, found) {
+    const configFile = [CONFIG_FILE_NAME, CONFIG_FILE_NAME_A]
+      .map((item) => resolve(dirPath, item))
+      .find((item) => existsSync(item));
+    if (configFile) {
+      const config = /** @type {ProjectConfig | null} */ (
+        yaml.parse(readFileSync(configFile).toString())
+      );
+      if (!config) {
+        console.error('Failed to read config file', configFile);
+        process.exit(1);
+      }
+      found.push({
+        name: config.name,
+        dir: relative(root, dirPath),
+        configFile,
+        dependsOn: config.depends_on || [],
+      });
+    }
+
+    const dir = readdirSync(dirPath, { withFileTypes: true });
+    for (let i = 0; dir[i]; i++) {
+      const { name } = dir[i];
+      if (dir[i].isDirectory() && !/^\./.test(name) && SKIPPED_DIRS.indexOf(name) === -1) {
+        this.findProjects(root, resolve(dirPath, name), found);
+      }
+    }
+  }
+
+  /**
+   * Filter patterns are matched with directory or name of project
+   * @private
+   * @param {Project[]} found
+   * @returns {Project[]}
+   */
+  filterProjects(found) {
+    const names = found.map(({ name }) => name);
+    const duplicate = names.find((item, index) => names.indexOf(item) !== index);
+    if (duplicate) {
+      console.error(
+        `Project name "${duplicate}" is duplicated`,
+        found
+          .filter(({ name }) => name === duplicate)
+          .map(({ configFile }) => configFile)
+          .join(', ')
+      );
+      process.exit(1);
+    }
+
+    const { filter } = this.options;
+    if (!filter || filter.length === 0) {
+      return found;
+    }
+    const matcher = ignore().add(filter);
+    return found.filter(
+      ({ name, dir }) => (dir && matcher.ignores(dir)) || (name && matcher.ignores(name))
+    );
+  }
+
+  /**
+   * Dependencies are deployed before dependent projects, otherwise the order of search is kept
+   * @private
+   * @param {Project[]} projects
+   * @param {Project[]} found
+   * @returns {Project[]}
+   */
+  sortProjects(projects, found) {
+    /**
+     * @type {Project[]}
+     */
+    const sorted = [];
+
+    /**
+     * @param {Project} project
+     * @param {string[]} stack
+     */
+    const visit = (project, stack) => {
+      if (sorted.indexOf(project) !== -1) {
+        return;
+      }
+      if (stack.indexOf(project.name) !== -1) {
+        console.error('Cycle of dependencies of projects', stack.concat(project.name).join(' -> '));
+        process.exit(1);
+      }
+      for (let i = 0; project.dependsOn[i]; i++) {
+        const name = project.dependsOn[i];
+        const dependency = projects.find((item) => item.name === name);
+        if (dependency) {
+          visit(dependency, stack.concat(project.name));
+        } else {
+          console.warn(
+            `Dependency "${name}" of project "${project.name}" is skipped`,
+            found.find((item) => item.name === name)
+              ? 'It is excluded by filter'
+              : 'Project is not found'
+          );
+        }
+      }
+      sorted.push(project);
+    };
+
+    for (let i = 0; projects[i]; i++) {
+      visit(projects[i], []);
+    }
+    return sorted;
+  }
+
+  /**
+   * @private
+   */
+  printSummary() {
+    Console.log(chalk.bold('\nSummary of deploy:'));
+    this.projects.forEach(({ name, dir, configFile }) => {
+      Console.log(`  ${name} (${dir || '.'}): ${SUMMARY_STATUSES[this.statuses[configFile]]}`);
+    });
+  }
+}
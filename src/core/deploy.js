@@ -9,23 +9,44 @@
  * Create Date: Sun Sep 01 2024 13:12:51 GMT+0700 (Krasnoyarsk Standard Time)
  ******************************************************************************************/
 import { filesize } from 'filesize';
+import chalk from 'chalk';
+import Console from 'console';
 import { create } from 'tar';
-import { tmpdir } from 'os';
 import CacheChanged from 'cache-changed';
-import { createReadStream, existsSync, mkdirSync, rmSync, stat } from 'fs';
-import { basename, normalize, resolve } from 'path';
+import { createReadStream, existsSync, mkdirSync, rmSync, stat, statSync, watch } from 'fs';
+import { basename, dirname, normalize, resolve } from 'path';
+import { isDeepStrictEqual } from 'util';
 import WS from '../connectors/ws.js';
-import { as, console, getPackagePath, parseMessageCli, stdoutWriteStart } from '../utils/lib.js';
 import {
+  as,
+  console,
+  downloadFile,
+  getPackagePath,
+  parseMessageCli,
+  retry,
+  stdoutWriteStart,
+} from '../utils/lib.js';
+import {
+  BACKUPS_DIR_NAME,
+  BACKUP_TIMEOUT,
   CACHE_FILE_NAME,
+  CLOUD_LOG_PREFIX,
   CONFIG_FILE_NAME,
   CONFIG_FILE_NAME_A,
-  CWD,
-  METADATA_FILE_NAME,
+  EXPLICIT_EXCLUDE,
+  HEADER_UPLOAD_CHECKSUM,
+  HEADER_UPLOAD_PART,
+  HEADER_UPLOAD_PART_CHECKSUM,
+  HEADER_UPLOAD_PARTS,
   PACKAGE_NAME,
   UPLOAD_CHUNK_SIZE,
+  UPLOAD_CONCURRENCY_DEFAULT,
+  UPLOAD_PART_SIZE,
   UPLOAD_PERCENT_DIFF,
+  UPLOAD_RETRY_DELAY,
+  UPLOAD_RETRY_MAX,
   UPLOAD_SPEED_INTERVAL,
+  WATCH_DEBOUNCE,
 } from '../utils/constants.js';
 import {
   GIT_UNTRACKED_POLICY,
@@ -38,9 +59,15 @@ import {
   VOLUME_LOCAL_REGEX,
 } from 'conhos-vscode/dist/constants.js';
 import Inquirer from '../utils/inquirer.js';
+import Crypto from '../utils/crypto.js';
+import Pool from '../utils/pool.js';
+import Ignore from '../utils/ignore.js';
+import Progress from '../utils/progress.js';
+import Release from '../utils/release.js';
+import Hooks from '../utils/hooks.js';
+import MetadataFile from '../utils/metadata.js';
 import { isCustomService } from 'conhos-vscode/dist/lib.js';
-import { readFile, writeFile } from 'fs/promises';
-import { ENV_VARIABLE_REGEX, ENV_VARIABLES_CLEAN_REGEX } from '../types/interfaces.js';
+import { open, readFile, writeFile } from 'fs/promises';
 
 /**
  * @typedef {import('conhos-vscode').ConfigFile} ConfigFile
@@ -48,7 +75,13 @@ import { ENV_VARIABLE_REGEX, ENV_VARIABLES_CLEAN_REGEX } from '../types/interfac
  * @typedef {import('../connectors/ws.js').CommandOptions} CommandOptions
  * @typedef {import('../types/interfaces.js').WSMessageDataCli} WSMessageDataCli
  * @typedef {import('cache-changed').CacheItem} CacheItem
+ * @typedef {import('../types/interfaces.js').CacheItemHashed} CacheItemHashed
  * @typedef {import('conhos-vscode').Status} Status
+ * @typedef {import('conhos-vscode').Git} Git
+ * @typedef {import('stream').Readable} Readable
+ * @typedef {import('tar').Pack} Pack
+ * @typedef {import('fs').FSWatcher} FSWatcher
+ * @typedef {import('../types/interfaces.js').HookName} HookName
  */
 
 /**
@@ -58,11 +91,51 @@ import { ENV_VARIABLE_REGEX, ENV_VARIABLES_CLEAN_REGEX } from '../types/interfac
 
 /**
  * @typedef {{
- *  projects: Record<string, ConfigFile>
- * }} Metadata
+ *  filePath: string
+ *  url: string;
+ *  service: string;
+ *  fileName: string;
+ *  connId: string;
+ *  tarball: boolean;
+ * }} UploadFileParams
+ * @typedef {{
+ *  status: Status
+ *  message: string;
+ *  code: number | undefined;
+ * }} UploadFileResult
+ */
+
+/**
+ * @typedef {'added' | 'changed' | 'unchanged' | 'deactivated' | 'deleted'} PlanStatus
+ * @typedef {{
+ *  status: PlanStatus;
+ *  upload: string[];
+ *  delete: string[];
+ *  git?: Git;
+ * }} PlanService
+ * @typedef {{
+ *  project: string;
+ *  services: Record<string, PlanService>;
+ * }} DeployPlan
  */
 
 const inquirer = new Inquirer();
+const crypto = new Crypto();
+const ignore = new Ignore();
+const release = new Release();
+const hooks = new Hooks();
+const metadataFile = new MetadataFile();
+
+/**
+ * @type {Record<PlanStatus, string>}
+ */
+const PLAN_STATUS_SIGNS = {
+  added: chalk.green('+'),
+  changed: chalk.yellow('~'),
+  unchanged: ' ',
+  deactivated: chalk.red('-'),
+  deleted: chalk.red('-'),
+};
 
 export default class Deploy extends WS {
   /**
@@ -72,16 +145,16 @@ export default class Deploy extends WS {
   cacheWorked = false;
 
   /**
-   * @private
+   * @protected
    * @type {Record<string, string>}
    */
   cacheFilePath = {};
 
   /**
    * @private
-   * @type {string[]}
+   * @type {Record<string, string[]>}
    */
-  fileList = [];
+  fileList = {};
 
   /**
    * @private
@@ -90,15 +163,115 @@ export default class Deploy extends WS {
   uploadedServices = [];
 
   /**
+   * Config which is sent to the cloud
+   * @private
+   * @type {ConfigFile | null}
+   */
+  deployConfig = null;
+
+  /**
+   * @private
+   * @type {Record<string, boolean>}
+   */
+  isNewUpload = {};
+
+  /**
+   * @private
+   */
+  uploadProgress = new Progress();
+
+  /**
+   * @private
+   * @type {Pool}
+   */
+  uploadPool;
+
+  /**
+   * @private
+   * @type {string[]}
+   */
+  serviceNames;
+
+  /**
+   * Files of services which are in the cloud, it used to find changes in watch mode
+   * @private
+   * @type {Record<string, CacheItemHashed[]>}
+   */
+  manifest = {};
+
+  /**
+   * @private
+   * @type {FSWatcher[]}
+   */
+  watchers = [];
+
+  /**
+   * Services which are changed after the last synchronization
+   * @private
+   * @type {string[]}
+   */
+  watchPending = [];
+
+  /**
+   * @private
+   * @type {NodeJS.Timeout | null}
+   */
+  watchTimeout = null;
+
+  /**
+   * @private
+   */
+  watchSyncing = false;
+
+  /**
+   * @private
+   * @type {Promise<boolean> | null}
+   */
+  preUploadHook = null;
+
+  /**
+   * Services of config file which are deployed, other services are not changed
+   * @private
+   * @type {string[]}
+   */
+  targetServices = [];
+
+  /**
+   * Services with changed image which are deleted by this deploy to be created again
+   * @private
+   * @type {string[]}
+   */
+  migratedServices = [];
+
+  /**
+   * Resolvers of backups of services which are waited from the cloud
    * @private
+   * @type {Record<string, (url: string | null) => void>}
    */
-  isNewUpload = false;
+  backupWaiters = {};
+
+  /**
+   * @param {Options} options
+   * @param {string[]} [serviceNames=[]]
+   * @param {WS | null} [session=null]
+   */
+  constructor(options, serviceNames = [], session = null) {
+    super(options, session);
+    this.uploadPool = new Pool(options.concurrency || UPLOAD_CONCURRENCY_DEFAULT);
+    this.serviceNames = serviceNames;
+  }
 
   /**
    * @type {Record<string, true>}
    */
   waitGitUpload = {};
 
+  /**
+   * @private
+   * @type {DeployPlan}
+   */
+  plan = { project: '', services: {} };
+
   /**
    * @public
    * @type {WS['listener']}
@@ -119,6 +292,8 @@ export default class Deploy extends WS {
        * @type {keyof WSMessageDataCli}
        */
       const _type = type;
+      // Progress lines are rendered again with the next update
+      this.uploadProgress.clear();
       switch (_type) {
         case 'acceptDeleteCli':
           this.acceptDelete(rawMessage);
@@ -138,6 +313,19 @@ export default class Deploy extends WS {
         case 'deployProgressCli':
           this.progress(rawMessage);
           break;
+        case 'serviceBackupCli':
+          this.backupCli(rawMessage);
+          break;
+        case 'message':
+          if (rawMessage.data.end && rawMessage.status !== 'error') {
+            await this.afterDeploy();
+          }
+          if (this.options.watch) {
+            this.watchMessage(rawMessage);
+            break;
+          }
+          await this.handleCommonMessages(rawMessage);
+          break;
         default:
           await this.handleCommonMessages(rawMessage);
       }
@@ -149,7 +337,7 @@ export default class Deploy extends WS {
    * @param {WSMessageCli<'deployProgressCli'>} msg
    */
   async progress({ data: { msg } }) {
-    stdoutWriteStart(msg.replaceAll(/\n/g, ''));
+    this.uploadProgress.update(CLOUD_LOG_PREFIX, msg.replaceAll(/\n/g, ''));
   }
 
   /**
@@ -186,7 +374,10 @@ export default class Deploy extends WS {
             );
             continue;
           }
-          const filePath = fileM[0].replace(VOLUME_LOCAL_POSTFIX_REGEX, '');
+          const filePath = resolve(
+            dirname(this.configFile),
+            fileM[0].replace(VOLUME_LOCAL_POSTFIX_REGEX, '')
+          );
           const file = basename(filePath);
           const url = `${_url}/${file}`;
           const { message, status } = await this.uploadFileRequest({
@@ -197,7 +388,7 @@ export default class Deploy extends WS {
             connId: this.connId,
             tarball: false,
           });
-          stdoutWriteStart('');
+          this.uploadProgress.remove(`${serviceName}|${file}`);
           console[status](message, serviceName, url);
           if (status === 'error') {
             console.warn(`Failed to upload volume for service "${key}"`, filePath);
@@ -229,79 +420,89 @@ export default class Deploy extends WS {
       console[status](`Files deleted "${service}":\n`, files.map((item) => item).join('\n'));
     }
 
-    let tarbalPath = '';
+    const fileList = this.fileList[service] || [];
 
-    if (this.isNewUpload) {
-      tarbalPath = resolve(tmpdir(), `${this.project}.tgz`);
-      console.info('Creating tarball ...', tarbalPath);
-      await new Promise((_resolve) => {
-        create(
-          {
-            file: tarbalPath,
-            cwd,
-            onwarn: (d) => {
-              console.warn('Creating tarball onwarn', d.toString());
-            },
-          },
-          this.fileList
-        ).then((_) => {
-          console.info('Tarball created', tarbalPath);
-          _resolve(0);
-        });
-      });
-    }
-    if (tarbalPath) {
-      await this.uploadFile({
-        service,
-        file: tarbalPath,
-        cwd,
-        last,
-        latest: true,
-        url,
-        tarball: true,
+    if (this.isNewUpload[service]) {
+      const tarballName = `${this.project}.tgz`;
+      await this.uploadPool.run(async () => {
+        await this.uploadTarball({ service, file: tarballName, cwd, url, fileList });
       });
+      this.sendDeployEnd({ service, last, file: tarballName, latest: true, skip: false });
     } else {
-      for (let i = 0; this.fileList[i]; i++) {
-        const file = this.fileList[i];
-        const latest = this.fileList[i + 1] === undefined;
-        await this.uploadFile({ service, file, cwd, last, latest, url, tarball: false });
-      }
+      let uploaded = 0;
+      await Promise.all(
+        fileList.map((file) => {
+          const upload = async () => {
+            await this.uploadFile({ service, file, cwd, url });
+            uploaded++;
+            // The last finished file is latest, because files are uploaded in parallel
+            this.sendDeployEnd({
+              service,
+              last,
+              file,
+              latest: uploaded === fileList.length,
+              skip: false,
+            });
+          };
+          return this.uploadPool.run(upload);
+        })
+      );
     }
 
-    if (this.fileList.length === 0) {
-      this.sendMessage({
-        token: this.token,
-        message: '',
-        type: 'deployEndServer',
-        userId: this.userId,
-        packageName: PACKAGE_NAME,
-        data: {
-          service,
-          skip: true,
-          last,
-          file: '',
-          latest: true,
-          num: 0,
-        },
-        status: 'info',
-        connId: this.connId,
-      });
+    if (fileList.length === 0) {
+      this.sendDeployEnd({ service, last, file: '', latest: true, skip: true });
     }
   }
 
+  /**
+   * @private
+   * @param {{
+   *  service: string;
+   *  last: boolean;
+   *  file: string;
+   *  latest: boolean;
+   *  skip: boolean;
+   * }} param0
+   */
+  sendDeployEnd({ service, last, file, latest, skip }) {
+    /** @type {typeof this.sendMessage<'deployEndServer'>} */ (this.sendMessage)({
+      token: this.token,
+      message: '',
+      type: 'deployEndServer',
+      userId: this.userId,
+      packageName: PACKAGE_NAME,
+      data: {
+        service,
+        skip,
+        last,
+        file,
+        latest,
+        num: 0,
+      },
+      status: 'info',
+      connId: this.connId,
+    });
+  }
+
   /**
    * @private
    * @param {WSMessageCli<'acceptDeleteCli'>} param0
    */
   async acceptDelete({ data: { serviceName, serviceType } }) {
-    console.warn(
-      `You want to delete service "${serviceName}" with type "${serviceType}"`,
-      'If you have a needed data of it save it before'
-    );
-    const accDel = await inquirer.confirm(
-      `Do you want to delete service "${serviceName}" with all data?`,
-      false
-    );
+    // Deletion of migrated service is confirmed already
+    const migrated = this.migratedServices.indexOf(serviceName) !== -1;
+    if (!migrated) {
+      console.warn(
+        `You want to delete service "${serviceName}" with type "${serviceType}"`,
+        'If you have a needed data of it save it before'
+      );
+    }
+    const accDel =
+      migrated ||
+      (await inquirer.confirm(
+        `Do you want to delete service "${serviceName}" with all data?`,
+        false
+      ));
     if (accDel) {
       this
         /** @type {typeof this.sendMessage<'acceptDeleteServer'>} */ .sendMessage({
@@ -324,7 +525,7 @@ export default class Deploy extends WS {
   }
 
   /**
-   * @private
+   * @protected
    * @param {{service: string; project: string;}} param0
    */
   setCacheFilePath({ service, project }) {
@@ -336,6 +537,183 @@ export default class Deploy extends WS {
     this.cacheFilePath[service] = resolve(packagePath, CACHE_FILE_NAME);
   }
 
+  /**
+   * Local directory with files of service
+   * @protected
+   * @param {string} service
+   * @param {string} pwd
+   * @returns {string}
+   */
+  // eslint-disable-next-line no-unused-vars, @typescript-eslint/no-unused-vars
+  getServiceDir(service, pwd) {
+    return resolve(dirname(this.configFile), pwd);
+  }
+
+  /**
+   * @private
+   */
+  async afterDeploy() {
+    if (!this.config || this.options.dryRun || this.watchers.length !== 0) {
+      return;
+    }
+    const { services } = this.config;
+    if (!this.targetServices.find((item) => services[item].active)) {
+      return;
+    }
+
+    await this.saveRelease();
+
+    if (
+      !(await this.runHooks({ name: 'post_deploy', services: this.targetServices, project: true }))
+    ) {
+      console.error('Deploy is finished, but hook "post_deploy" failed', 'See the output above');
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Run hooks of project and active services, hook of project is run first except "post_deploy"
+   * @protected
+   * @param {{
+   *  name: HookName;
+   *  services: string[];
+   *  project: boolean;
+   * }} param0
+   * @returns {Promise<boolean>} - false if one of hooks failed
+   */
+  async runHooks({ name, services, project }) {
+    if (!this.config || this.options.dryRun) {
+      return true;
+    }
+    const { services: _services } = this.config;
+
+    /**
+     * @type {Parameters<Hooks['run']>[0][]}
+     */
+    const queue = services
+      .filter((item) => _services[item].active)
+      .map((item) => ({
+        name,
+        hooks: hooks.get(_services[item]),
+        cwd: this.getServiceDir(item, _services[item].pwd || ''),
+        prefix: item,
+      }));
+    if (project) {
+      const projectHook = {
+        name,
+        hooks: hooks.get(this.config),
+        cwd: dirname(this.configFile),
+        prefix: this.config.name,
+      };
+      if (name === 'post_deploy') {
+        queue.push(projectHook);
+      } else {
+        queue.unshift(projectHook);
+      }
+    }
+
+    for (let i = 0; queue[i]; i++) {
+      if (!(await hooks.run(queue[i]))) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * @private
+   * @param {HookName} name
+   */
+  abortByHook(name) {
+    console.error(`Deploy is aborted, because hook "${name}" failed`, 'Fix it and try again');
+    process.exit(1);
+  }
+
+  /**
+   * @private
+   */
+  async saveRelease() {
+    if (!this.config) {
+      return;
+    }
+    const { services } = this.config;
+
+    /**
+     * @type {Record<string, string>}
+     */
+    const dirs = {};
+    Object.keys(this.manifest).forEach((item) => {
+      dirs[item] = this.getServiceDir(item, services[item].pwd || '');
+    });
+    const { id } = await release.create({
+      project: this.project,
+      config: this.config,
+      configText: this.configText,
+      volumes: this.volumes,
+      manifest: this.manifest,
+      dirs,
+      cwd: dirname(this.configFile),
+    });
+    console.info('Release saved', `${id}, run "${PACKAGE_NAME} releases" to see all`);
+  }
+
+  /**
+   * @private
+   */
+  isPartialDeploy() {
+    return this.serviceNames.length !== 0 || (this.options.excludeService || []).length !== 0;
+  }
+
+  /**
+   * @private
+   * @returns {string[]}
+   */
+  getTargetServices() {
+    if (!this.config) {
+      return [];
+    }
+    const { services } = this.config;
+    const excludeService = this.options.excludeService || [];
+
+    const missing = this.serviceNames.concat(excludeService).filter((item) => !services[item]);
+    if (missing.length) {
+      console.error('Services are missing in config file', missing.join(', '));
+      process.exit(1);
+    }
+
+    const res = Object.keys(services).filter(
+      (item) =>
+        (this.serviceNames.length === 0 || this.serviceNames.indexOf(item) !== -1) &&
+        excludeService.indexOf(item) === -1
+    );
+    if (res.length === 0) {
+      console.error('No services to deploy', 'All services are excluded');
+      process.exit(1);
+    }
+    return res;
+  }
+
+  /**
+   * Services which are not selected are sent as they were deployed, so the cloud keeps them
+   * @private
+   * @param {ConfigFile} config
+   * @param {ConfigFile | null} deployed
+   * @returns {ConfigFile}
+   */
+  getDeployConfig(config, deployed) {
+    if (!this.isPartialDeploy()) {
+      return config;
+    }
+    /**
+     * @type {ConfigFile['services']}
+     */
+    const services = deployed ? { ...deployed.services } : {};
+    this.targetServices.forEach((item) => {
+      services[item] = config.services[item];
+    });
+    return { ...config, services };
+  }
+
   /**
    * @private
    * @param {ConfigFile['services']} services
@@ -387,16 +765,22 @@ export default class Deploy extends WS {
       return;
     }
 
-    if (cache.length === 0) {
-      this.isNewUpload = true;
-    }
-
     this.uploadedServices.push(service);
 
-    const { services } = this.config;
+    const { services } = this.deployConfig || this.config;
     const activeServices = this.getActiveServices(services);
     const last = activeServices.length <= this.uploadedServices.length;
 
+    if (this.targetServices.indexOf(service) === -1) {
+      // Files of service which is not selected are kept in the cloud
+      this.sendDeployEnd({ service, last, file: '', latest: true, skip: true });
+      return;
+    }
+
+    if (cache.length === 0) {
+      this.isNewUpload[service] = true;
+    }
+
     if (git) {
       if (active) {
         console.info(
@@ -454,9 +838,29 @@ export default class Deploy extends WS {
       return;
     }
 
-    const cached = this.changePWD({ cache, pwd });
-    const { files, needUpload, deleted } =
-      (await this.checkCache({ exclude, pwd, service, cached })) || [];
+    // Hook of project is run once before the first service
+    this.preUploadHook =
+      this.preUploadHook || this.runHooks({ name: 'pre_upload', services: [], project: true });
+    if (
+      !(await this.preUploadHook) ||
+      !(await this.runHooks({ name: 'pre_upload', services: [service], project: false }))
+    ) {
+      this.abortByHook('pre_upload');
+    }
+
+    const cached = this.changePWD({ service, cache, pwd });
+    const {
+      files,
+      needUpload,
+      deleted,
+      cache: manifest,
+    } = await this.checkCache({
+      exclude,
+      pwd,
+      service,
+      cached,
+    });
+    this.manifest[service] = manifest;
 
     if (!needUpload) {
       console.info('Skipping to upload service files', pwd);
@@ -480,38 +884,281 @@ export default class Deploy extends WS {
       return;
     }
 
-    const cwd = `${resolve(CWD, pwd)}/`;
-    this.sendMessage({
-      token: this.token,
-      message: '',
-      type: 'deployDeleteFilesServer',
-      userId: this.userId,
-      packageName: PACKAGE_NAME,
-      data: {
-        service,
+    this.sendDeleteFiles({ service, pwd, last, files, deleted, manifest });
+  }
+
+  /**
+   * @private
+   * @param {{
+   *  service: string;
+   *  pwd: string;
+   *  last: boolean;
+   *  files: CacheItem[];
+   *  deleted: CacheItem[];
+   *  manifest: CacheItemHashed[];
+   * }} param0
+   */
+  sendDeleteFiles({ service, pwd, last, files, deleted, manifest }) {
+    const cwd = `${this.getServiceDir(service, pwd)}/`;
+    this.fileList[service] = files
+      .filter((item) => !item.isDir)
+      .map((item) => normalize(item.pathAbs).replace(cwd, ''));
+
+    this.sendMessage({
+      token: this.token,
+      message: '',
+      type: 'deployDeleteFilesServer',
+      userId: this.userId,
+      packageName: PACKAGE_NAME,
+      data: {
+        service,
         files: deleted.map(({ pathRel }) => pathRel),
         cwd,
         last,
         pwd: pwd || '',
+        cache: manifest,
       },
       status: 'info',
       connId: this.connId,
     });
+  }
 
-    this.fileList = files
-      .filter((item) => !item.isDir)
-      .map((item) => normalize(item.pathAbs).replace(cwd, ''));
+  /**
+   * @private
+   * @param {WSMessageCli<'message'>} param0
+   */
+  watchMessage({ status, message, data }) {
+    stdoutWriteStart('');
+    console[status](`${CLOUD_LOG_PREFIX} ${message}`, data.msg);
+    if (status === 'error' && this.watchers.length === 0) {
+      process.exit(data.code !== undefined ? data.code : 1);
+    }
+    if (status !== 'error' && !data.end) {
+      return;
+    }
+
+    if (this.watchers.length === 0) {
+      this.startWatch();
+      return;
+    }
+    this.watchSyncing = false;
+    if (this.watchPending.length !== 0) {
+      this.syncWatched();
+    }
+  }
+
+  /**
+   * @private
+   */
+  startWatch() {
+    if (!this.config) {
+      return;
+    }
+    const { services } = this.config;
+
+    this.targetServices.forEach((item) => {
+      const { active, image, git, pwd, exclude } = services[item];
+      if (!active || !isCustomService(image) || git) {
+        return;
+      }
+      const _exclude = (exclude || [])
+        .concat(EXPLICIT_EXCLUDE, [CONFIG_FILE_NAME, CONFIG_FILE_NAME_A])
+        .map((_item) => normalize(_item));
+      const targetDirPath = this.getServiceDir(item, pwd || '');
+      console.info(`Watching files of service "${item}"`, targetDirPath);
+
+      this.watchers.push(
+        watch(targetDirPath, { recursive: true }, (_, fileName) => {
+          if (!fileName) {
+            return;
+          }
+          const _fileName = normalize(fileName.toString());
+          if (_exclude.find((ex) => _fileName === ex || _fileName.startsWith(`${ex}/`))) {
+            return;
+          }
+          if (this.watchPending.indexOf(item) === -1) {
+            this.watchPending.push(item);
+          }
+          if (this.watchTimeout) {
+            clearTimeout(this.watchTimeout);
+          }
+          this.watchTimeout = setTimeout(() => {
+            this.watchTimeout = null;
+            this.syncWatched();
+          }, WATCH_DEBOUNCE);
+        })
+      );
+    });
+
+    if (this.watchers.length === 0) {
+      console.warn(
+        'There are not services to watch',
+        'Only custom services without git are watched'
+      );
+      process.exit(0);
+    }
+    console.info('Waiting for changes ...', 'Press Ctrl+C to exit');
+  }
+
+  /**
+   * Upload changed files of services since the last synchronization
+   * @private
+   */
+  async syncWatched() {
+    if (!this.config || this.watchSyncing) {
+      return;
+    }
+    this.watchSyncing = true;
+    const { services } = this.config;
+    const pending = this.watchPending;
+    this.watchPending = [];
+
+    /**
+     * @type {Parameters<Deploy['sendDeleteFiles']>[0][]}
+     */
+    const changed = [];
+    for (let i = 0; pending[i]; i++) {
+      const service = pending[i];
+      const { pwd = '', exclude } = services[service];
+      this.setCacheFilePath({ project: this.project, service });
+      const { files, deleted, cache } = await this.checkCache({
+        exclude,
+        pwd,
+        service,
+        cached: this.manifest[service] || [],
+      });
+      this.manifest[service] = cache;
+      if (files.length === 0 && deleted.length === 0) {
+        continue;
+      }
+      this.isNewUpload[service] = false;
+      changed.push({ service, pwd, last: false, files, deleted, manifest: cache });
+    }
+
+    if (changed.length === 0) {
+      this.watchSyncing = false;
+      if (this.watchPending.length !== 0) {
+        this.syncWatched();
+      }
+      return;
+    }
+
+    changed[changed.length - 1].last = true;
+    changed.forEach((item) => {
+      console.info(
+        `Synchronize service "${item.service}"`,
+        `${item.files.length} changed, ${item.deleted.length} deleted`
+      );
+      this.sendDeleteFiles(item);
+    });
+  }
+
+  /**
+   * Plan is built from config and caches of the last upload, nothing is sent to the cloud
+   * @private
+   * @param {ConfigFile | null} deployed
+   */
+  async planDeploy(deployed) {
+    if (!this.config) {
+      return;
+    }
+    this.setPlan(deployed);
+
+    const { services } = this.config;
+    for (let i = 0; this.targetServices[i]; i++) {
+      const service = this.targetServices[i];
+      const { active, git, exclude, pwd = '' } = services[service];
+      const planService = this.plan.services[service];
+      if (active && git) {
+        planService.git = git;
+      } else if (active) {
+        this.setCacheFilePath({ project: this.project, service });
+        const cwd = `${this.getServiceDir(service, pwd)}/`;
+        const cached = (this.options.clearCache ? null : await this.readCacheFile(service)) || [];
+        const { files, deleted } = await this.checkCache({ exclude, pwd, service, cached });
+        planService.upload = files
+          .filter((item) => !item.isDir)
+          .map((item) => normalize(item.pathAbs).replace(cwd, ''));
+        planService.delete = deleted.map(({ pathRel }) => pathRel);
+      }
+    }
+
+    this.printPlan();
+    this.exit(0);
+  }
+
+  /**
+   * @private
+   * @param {ConfigFile | null} deployed
+   */
+  setPlan(deployed) {
+    if (!this.config) {
+      return;
+    }
+    const { name, services } = this.config;
+    this.plan.project = name;
+
+    this.targetServices.forEach((item) => {
+      const service = services[item];
+      const dService = deployed?.services[item];
+      /**
+       * @type {PlanStatus}
+       */
+      let status = 'unchanged';
+      if (!service.active) {
+        status = dService?.active ? 'deactivated' : 'unchanged';
+      } else if (!dService || !dService.active) {
+        status = 'added';
+      } else if (!isDeepStrictEqual(dService, service)) {
+        status = 'changed';
+      }
+      this.plan.services[item] = { status, upload: [], delete: [] };
+    });
+
+    if (deployed && !this.isPartialDeploy()) {
+      Object.keys(deployed.services).forEach((item) => {
+        if (!services[item]) {
+          this.plan.services[item] = { status: 'deleted', upload: [], delete: [] };
+        }
+      });
+    }
+  }
+
+  /**
+   * @private
+   */
+  printPlan() {
+    if (this.options.json) {
+      Console.log(JSON.stringify(this.plan, null, 2));
+      return;
+    }
+
+    Console.log(`Deployment plan of project "${this.plan.project}":`);
+    Object.keys(this.plan.services).forEach((item) => {
+      const { status, upload, delete: _delete, git } = this.plan.services[item];
+      Console.log(`${PLAN_STATUS_SIGNS[status]} ${item} (${status})`);
+      if (git) {
+        Console.log(`    git: ${git.url}, branch: ${git.branch}`);
+      }
+      upload.forEach((file) => {
+        Console.log(`    ${chalk.green('+')} ${file}`);
+      });
+      _delete.forEach((file) => {
+        Console.log(`    ${chalk.red('-')} ${file}`);
+      });
+    });
   }
 
   /**
    * @private
    * @param {{
-   *  cache: CacheItem[];
+   *  service: string;
+   *  cache: CacheItemHashed[];
    *  pwd: string;
    * }} param0
    */
-  changePWD({ cache, pwd }) {
-    const cwd = resolve(CWD, pwd);
+  changePWD({ service, cache, pwd }) {
+    const cwd = this.getServiceDir(service, pwd);
     return cache.map((item) => {
       const _item = structuredClone(item);
       _item.pathAbs = resolve(cwd, item.pathRel);
@@ -520,19 +1167,69 @@ export default class Deploy extends WS {
   }
 
   /**
+   * Tarball is streamed into the request without writing it to disk
    * @private
    * @param {{
    *  service: string;
    *  file: string;
    *  cwd: string;
-   *  last: boolean;
-   *  latest: boolean;
    *  url: string;
-   *  tarball: boolean
+   *  fileList: string[];
    * }} param0
    */
-  async uploadFile({ service, file, cwd, last, latest, url, tarball }) {
-    const num = 0;
+  async uploadTarball({ service, file, cwd, url, fileList }) {
+    console.info('Streaming tarball ...', `${service}|${file}`);
+    const { message, status } = await retry(
+      () =>
+        // Stream is read by failed attempt, so every attempt creates a new one
+        this.uploadFileStreamRequest({
+          filePath: '',
+          source: create(
+            {
+              cwd,
+              onwarn: (d) => {
+                console.warn('Creating tarball onwarn', d.toString());
+              },
+            },
+            fileList
+          ),
+          url: `${url}/${file}`,
+          service,
+          fileName: file,
+          connId: this.connId,
+          tarball: true,
+        }),
+      {
+        retries: UPLOAD_RETRY_MAX,
+        delay: UPLOAD_RETRY_DELAY,
+        onRetry: (error, attempt) => {
+          console.warn(`Retry upload "${service}|${file}", attempt ${attempt}`, error.message);
+        },
+      }
+    ).catch(
+      /**
+       * @param {Error} err
+       * @returns {UploadFileResult}
+       */
+      (err) => ({ status: 'error', code: undefined, message: err.message })
+    );
+    this.uploadProgress.remove(`${service}|${file}`);
+    console[status](`${message}: ${service}|${file}`, cwd);
+    if (status === 'error') {
+      process.exit(1);
+    }
+  }
+
+  /**
+   * @private
+   * @param {{
+   *  service: string;
+   *  file: string;
+   *  cwd: string;
+   *  url: string;
+   * }} param0
+   */
+  async uploadFile({ service, file, cwd, url }) {
     const filePath = resolve(cwd, file);
 
     if (!this.config) {
@@ -551,38 +1248,20 @@ export default class Deploy extends WS {
       return true;
     });
 
-    const uploadUrl = `${url}/${tarball ? basename(file) : file}`;
+    const uploadUrl = `${url}/${file}`;
     const { message, status } = await this.uploadFileRequest({
       filePath,
       url: uploadUrl,
       service,
       fileName: file,
       connId: this.connId,
-      tarball,
+      tarball: false,
     });
-    stdoutWriteStart('');
+    this.uploadProgress.remove(`${service}|${file}`);
     console[status](`${message}: ${service}|${file}`, filePath);
     if (status === 'error') {
       process.exit(1);
     }
-
-    /** @type {typeof this.sendMessage<'deployEndServer'>} */ (this.sendMessage)({
-      token: this.token,
-      message: '',
-      type: 'deployEndServer',
-      userId: this.userId,
-      packageName: PACKAGE_NAME,
-      data: {
-        service,
-        skip: false,
-        last,
-        file,
-        latest,
-        num,
-      },
-      status: 'info',
-      connId: this.connId,
-    });
   }
 
   /**
@@ -594,7 +1273,25 @@ export default class Deploy extends WS {
       return;
     }
 
-    await this.checkMetadata();
+    this.targetServices = this.getTargetServices();
+
+    // Values of the last deploy replace ignored changes before config is resolved
+    const deployed = await this.checkMetadata();
+    if (this.migratedServices.length) {
+      // Migrated services are deleted by this deploy, so they are not targets of it
+      this.targetServices = this.targetServices.filter(
+        (item) => this.migratedServices.indexOf(item) === -1
+      );
+      this.deployMigrated();
+    }
+
+    this.deployConfig = this.getDeployConfig(this.config, deployed);
+    const resolved = this.resolveEnvVariables(this.deployConfig, { escape: true });
+    if (resolved.missing.length) {
+      this.printEnvVariablesMissing(resolved.missing);
+      console.error('Exited with code 1', 'Set required environment variables and try again');
+      process.exit(1);
+    }
 
     const { name, services } = this.config;
 
@@ -604,14 +1301,27 @@ export default class Deploy extends WS {
     }
 
     const needToRemoveProject =
+      !this.isPartialDeploy() &&
       typeof Object.keys(services).find((item) => services[item].active) === 'undefined';
+    if (this.options.dryRun) {
+      console.info('Starting dry run of deploy project', name);
+      await this.planDeploy(deployed);
+      return;
+    }
     if (needToRemoveProject) {
       console.info('Starting remove project ', name);
+    } else if (this.isPartialDeploy()) {
+      console.info(`Starting deploy services of project "${name}"`, this.targetServices.join(', '));
     } else {
       console.info('Starting deploy project', name);
     }
 
-    const env = this.getEnvVariables();
+    if (
+      !needToRemoveProject &&
+      !(await this.runHooks({ name: 'pre_deploy', services: this.targetServices, project: true }))
+    ) {
+      this.abortByHook('pre_deploy');
+    }
 
     this
       /** @type {typeof this.sendMessage<'deployServer'>} */ .sendMessage({
@@ -621,13 +1331,13 @@ export default class Deploy extends WS {
         userId: this.userId,
         packageName: PACKAGE_NAME,
         data: {
-          config: this.config,
+          config: resolved.config,
           projectDeleted: needToRemoveProject,
           volumes: this.volumes,
           interractive: this.options.interractive || false,
-          configText: this.configText,
+          configText: resolved.configText,
           ssl: this.options.ssl || false,
-          env,
+          env: resolved.env,
         },
         status: 'info',
         connId: this.connId,
@@ -639,7 +1349,7 @@ export default class Deploy extends WS {
    * @param {{
    *  pwd: string;
    *  service: string;
-   *  cached: CacheItem[];
+   *  cached: CacheItemHashed[];
    *  exclude: ConfigFile['services'][0]['exclude']
    * }} param0
    */
@@ -654,7 +1364,7 @@ export default class Deploy extends WS {
      */
     let deleted = [];
 
-    const targetDirPath = resolve(CWD, pwd);
+    const targetDirPath = this.getServiceDir(service, pwd);
 
     if (!existsSync(targetDirPath)) {
       console.warn('Target dir is missing', targetDirPath);
@@ -662,22 +1372,32 @@ export default class Deploy extends WS {
       process.exit(1);
     }
 
+    const _exclude = (exclude || []).concat(EXPLICIT_EXCLUDE, [
+      CONFIG_FILE_NAME,
+      CONFIG_FILE_NAME_A,
+    ]);
+    const ignored = await ignore.getExcluded(targetDirPath, _exclude);
+
     const cacheChanged = new CacheChanged({
       cacheFilePath: this.cacheFilePath[service],
-      exclude: exclude
-        ? exclude.concat([CONFIG_FILE_NAME, CONFIG_FILE_NAME_A])
-        : [CONFIG_FILE_NAME, CONFIG_FILE_NAME_A],
+      exclude: _exclude.concat(ignored),
       targetDirPath,
     });
 
-    if (this.options.clearCache && existsSync(this.cacheFilePath[service])) {
+    if (
+      this.options.clearCache &&
+      !this.options.dryRun &&
+      existsSync(this.cacheFilePath[service])
+    ) {
       this.removeCache(service);
     }
 
+    const previous = this.options.clearCache ? null : await this.getPreviousCache(service, cached);
+
     let needUpload = false;
-    if (!existsSync(this.cacheFilePath[service])) {
+    if (previous === null) {
       needUpload = true;
-      files = (await this.createCache(cacheChanged)) || [];
+      files = (await this.createCache(cacheChanged, true)) || [];
     } else {
       const cacheRes = await cacheChanged.compare().catch((err) => {
         console.error('Failed to compare cache', err, new Error().stack);
@@ -686,8 +1406,6 @@ export default class Deploy extends WS {
 
       this.cacheWorked = typeof cacheRes !== 'undefined';
       if (this.cacheWorked && typeof cacheRes !== 'undefined') {
-        needUpload = cacheRes.isChanged;
-        await this.createCache(cacheChanged);
         files = [...new Set(cacheRes.added.concat(cacheRes.updated))];
         deleted = cacheRes.deleted;
       }
@@ -701,28 +1419,153 @@ export default class Deploy extends WS {
     }
     const _files = await this.createCache(cacheChanged, true);
 
+    /**
+     * @type {CacheItemHashed[]}
+     */
+    let cache = [];
     if (_files) {
-      _files.forEach((item) => {
+      cache = await this.hashCache(_files, previous || []);
+
+      // Files which mtime was changed but content was not
+      files = files.filter((item) => {
+        const prevItem = previous?.find((_item) => _item.pathAbs === item.pathAbs);
+        const currItem = cache.find((_item) => _item.pathAbs === item.pathAbs);
+        return !prevItem?.hash || !currItem?.hash || prevItem.hash !== currItem.hash;
+      });
+
+      cache.forEach((item) => {
         const file = cached.find((_item) => _item.pathAbs === item.pathAbs);
         if (!file) {
           files.push(item);
-        } else if (file.size !== item.size) {
+        } else if (this.isFileChanged(file, item)) {
           files.push(item);
         }
       });
 
       cached.forEach((item) => {
-        if (!_files.find((_item) => _item.pathAbs === item.pathAbs)) {
+        if (!cache.find((_item) => _item.pathAbs === item.pathAbs)) {
           deleted.push(item);
         }
       });
+
+      if (!this.options.dryRun) {
+        await this.writeCacheFile(service, cache);
+      }
     }
 
     if (!needUpload) {
       needUpload = files.length !== 0 || deleted.length !== 0;
     }
 
-    return { files: this.filterUnique(files), needUpload, deleted: this.filterUnique(deleted) };
+    return {
+      files: this.filterUnique(files),
+      needUpload,
+      deleted: this.filterUnique(deleted),
+      cache,
+    };
+  }
+
+  /**
+   * @private
+   * @param {CacheItemHashed} cachedItem
+   * @param {CacheItemHashed} item
+   * @returns {boolean}
+   */
+  isFileChanged(cachedItem, item) {
+    if (item.isDir) {
+      return false;
+    }
+    if (cachedItem.hash && item.hash) {
+      return cachedItem.hash !== item.hash;
+    }
+    // Cache of old versions has not hashes
+    return cachedItem.size !== item.size;
+  }
+
+  /**
+   * @private
+   * @param {CacheItem[]} files
+   * @param {CacheItemHashed[]} previous
+   * @returns {Promise<CacheItemHashed[]>}
+   */
+  async hashCache(files, previous) {
+    /**
+     * @type {CacheItemHashed[]}
+     */
+    const res = [];
+    for (let i = 0; files[i]; i++) {
+      const item = files[i];
+      if (item.isDir) {
+        res.push(item);
+        continue;
+      }
+      const prevItem = previous.find((_item) => _item.pathAbs === item.pathAbs);
+      if (
+        prevItem &&
+        prevItem.hash &&
+        prevItem.mtimeMs === item.mtimeMs &&
+        prevItem.size === item.size
+      ) {
+        res.push({ ...item, hash: prevItem.hash });
+        continue;
+      }
+      const hash = await crypto.createFileHash(item.pathAbs).catch((err) => {
+        console.error('Failed to create file hash', { err, file: item.pathAbs });
+      });
+      res.push(hash ? { ...item, hash } : item);
+    }
+    return res;
+  }
+
+  /**
+   * Files of the last upload of service which are compared with working files
+   * @protected
+   * @param {string} service
+   * @param {CacheItemHashed[]} cached - files of service in the cloud
+   * @returns {Promise<CacheItemHashed[] | null>}
+   */
+  // eslint-disable-next-line no-unused-vars, @typescript-eslint/no-unused-vars
+  async getPreviousCache(service, cached) {
+    return this.readCacheFile(service);
+  }
+
+  /**
+   * @private
+   * @param {string} service
+   * @returns {Promise<CacheItemHashed[] | null>}
+   */
+  async readCacheFile(service) {
+    const cacheFilePath = this.cacheFilePath[service];
+    if (!existsSync(cacheFilePath)) {
+      return null;
+    }
+    const res = await readFile(cacheFilePath).catch((error) => {
+      console.error('Failed to read cache file', error);
+    });
+    if (!res) {
+      return null;
+    }
+    /**
+     * @type {CacheItemHashed[] | null}
+     */
+    let data = null;
+    try {
+      data = JSON.parse(res.toString());
+    } catch (error) {
+      console.error('Failed to parse cache file', { error, cacheFilePath });
+    }
+    return data;
+  }
+
+  /**
+   * @protected
+   * @param {string} service
+   * @param {CacheItemHashed[]} cache
+   */
+  async writeCacheFile(service, cache) {
+    await writeFile(this.cacheFilePath[service], JSON.stringify(cache)).catch((error) => {
+      console.error('Failed to write cache file', error);
+    });
   }
 
   /**
@@ -762,26 +1605,266 @@ export default class Deploy extends WS {
     return /** @type {typeof as<CacheItem[]>} */ (as)(cacheRes);
   }
 
+  /**
+   * @private
+   * @param {UploadFileParams} param0
+   * @returns {Promise<UploadFileResult>}
+   */
+  async uploadFileRequest({ filePath, url, service, fileName, connId, tarball }) {
+    console.log(`Upload file "${service}"`, `Filename: ${fileName}, url: ${url}`);
+
+    const allSize = await new Promise((_resolve) => {
+      stat(filePath, (err, data) => {
+        if (err) {
+          console.error('Failed to get stat of file', err);
+          _resolve(0);
+          return;
+        }
+        const { size } = data;
+        _resolve(size);
+      });
+    });
+
+    const checksum = await crypto.createFileHash(filePath).catch((err) => {
+      console.error('Failed to create file hash', { err, filePath });
+    });
+    if (!checksum) {
+      return { status: 'error', code: undefined, message: 'Failed to read file' };
+    }
+
+    const total = Math.max(Math.ceil(allSize / UPLOAD_PART_SIZE), 1);
+    /**
+     * @type {Record<string, string>}
+     */
+    const headers = {
+      'user-agent': `client ${this.package.version}`,
+      host: url.replace(/https?:\/\//, '').replace(/\/.+$/, ''),
+      [HEADER_CONN_ID]: connId,
+      [HEADER_TARBALL]: tarball ? '1' : '0',
+      [HEADER_UPLOAD_PARTS]: total.toString(),
+      [HEADER_UPLOAD_CHECKSUM]: checksum,
+    };
+
+    /**
+     * @param {Error} error
+     * @param {number} attempt
+     */
+    const onRetry = (error, attempt) => {
+      this.uploadProgress.clear();
+      console.warn(`Retry upload "${service}|${fileName}", attempt ${attempt}`, error.message);
+    };
+
+    /**
+     * @param {string} message
+     * @returns {UploadFileResult}
+     */
+    const failed = (message) => {
+      this.uploadProgress.clear();
+      console.error('Failed to upload file', { url, message });
+      return { status: 'error', code: undefined, message };
+    };
+
+    const uploaded = await retry(() => this.getUploadedParts({ url, headers }), {
+      retries: UPLOAD_RETRY_MAX,
+      delay: UPLOAD_RETRY_DELAY,
+      onRetry,
+    }).catch((err) => failed(err.message));
+    if (uploaded === null) {
+      console.log('Resumable upload is not supported by server', url);
+      return retry(
+        () => this.uploadFileStreamRequest({ filePath, url, service, fileName, connId, tarball }),
+        {
+          retries: UPLOAD_RETRY_MAX,
+          delay: UPLOAD_RETRY_DELAY,
+          onRetry,
+        }
+      ).catch((err) => failed(err.message));
+    }
+    if (!Array.isArray(uploaded)) {
+      return uploaded;
+    }
+    if (uploaded.length) {
+      console.info(`Resuming upload "${service}|${fileName}"`, `${uploaded.length}/${total} parts`);
+    }
+
+    let sizeUpload = Math.min(uploaded.length * UPLOAD_PART_SIZE, allSize);
+    for (let num = 1; num <= total; num++) {
+      if (uploaded.indexOf(num) !== -1) {
+        continue;
+      }
+      const start = (num - 1) * UPLOAD_PART_SIZE;
+      const size = Math.min(UPLOAD_PART_SIZE, allSize - start);
+      const partError = await retry(
+        () => this.uploadPartRequest({ url, headers, filePath, num, start, size }),
+        {
+          retries: UPLOAD_RETRY_MAX,
+          delay: UPLOAD_RETRY_DELAY,
+          onRetry,
+        }
+      ).catch((err) => failed(err.message));
+      if (partError) {
+        return partError;
+      }
+      sizeUpload += size;
+      const percent = allSize ? parseInt(((sizeUpload / allSize) * 100).toFixed(0), 10) : 100;
+      this.uploadProgress.update(
+        `${service}|${fileName}`,
+        `${service}|${fileName} - uploading: ${percent}% | part: ${num}/${total} | ${filesize(
+          sizeUpload,
+          { standard: 'jedec' }
+        )}/${filesize(allSize, { standard: 'jedec' })}`
+      );
+    }
+
+    return retry(() => this.completeUploadRequest({ url, headers }), {
+      retries: UPLOAD_RETRY_MAX,
+      delay: UPLOAD_RETRY_DELAY,
+      onRetry,
+    }).catch((err) => failed(err.message));
+  }
+
   /**
    * @private
    * @param {{
-   *  filePath: string
    *  url: string;
-   *  service: string;
-   *  fileName: string;
-   *  connId: string;
-   *  tarball: boolean;
+   *  method: string;
+   *  headers: Record<string, string>;
+   *  body?: Buffer;
    * }} param0
-   * @returns {Promise<{
-   *  status: Status
-   *  message: string;
-   *  code: number | undefined;
-   * }>}
+   * @returns {Promise<{code: number | undefined; body: string}>}
    */
-  async uploadFileRequest({ filePath, url, service, fileName, connId, tarball }) {
-    console.log(`Upload file "${service}"`, `Filename: ${fileName}, url: ${url}`);
+  async sendRequest({ url, method, headers, body }) {
+    const fn = await this.setRequest(url);
+    return new Promise((_resolve, reject) => {
+      const req = fn(url, { method, headers, timeout: UPLOAD_REQUEST_TIMEOUT }, (res) => {
+        let data = '';
+        res.on('data', (chunk) => {
+          data += chunk.toString();
+        });
+        res.on('error', (err) => {
+          reject(err);
+        });
+        res.on('end', () => {
+          _resolve({ code: res.statusCode, body: data });
+        });
+      });
+
+      req.on('error', (err) => {
+        reject(err);
+      });
+
+      req.on('timeout', () => {
+        req.destroy(new Error(`Request timeout exceeded ${url}`));
+      });
+
+      req.end(body);
+    });
+  }
 
+  /**
+   * Returns null when server doesn't support resumable upload
+   * @private
+   * @param {{
+   *  url: string;
+   *  headers: Record<string, string>;
+   * }} param0
+   * @returns {Promise<number[] | null>}
+   */
+  async getUploadedParts({ url, headers }) {
+    const { code, body } = await this.sendRequest({ url, method: 'GET', headers });
+    // Only failures of the server are repeated, other replies mean the protocol is not supported
+    if (!code || code >= 500) {
+      throw new Error(`Failed to get uploaded parts with code ${code}: ${body}`);
+    }
+    if (code !== 200) {
+      return null;
+    }
+    /**
+     * @type {{parts?: number[]} | null}
+     */
+    let data = null;
+    try {
+      data = JSON.parse(body);
+    } catch (e) {
+      return null;
+    }
+    return data && Array.isArray(data.parts) ? data.parts : null;
+  }
+
+  /**
+   * @private
+   * @param {{
+   *  url: string;
+   *  headers: Record<string, string>;
+   *  filePath: string;
+   *  num: number;
+   *  start: number;
+   *  size: number;
+   * }} param0
+   * @returns {Promise<void>}
+   */
+  async uploadPartRequest({ url, headers, filePath, num, start, size }) {
+    const body = Buffer.alloc(size);
+    const file = await open(filePath, 'r');
+    await file.read(body, 0, size, start).finally(() => file.close());
+
+    const { code, body: message } = await this.sendRequest({
+      url,
+      method: 'PUT',
+      headers: {
+        ...headers,
+        'content-type': 'application/octet-stream',
+        'content-length': size.toString(),
+        [HEADER_UPLOAD_PART]: num.toString(),
+        [HEADER_UPLOAD_PART_CHECKSUM]: crypto.createBufferHash(body),
+      },
+      body,
+    });
+    if (!code || code < 200 || code >= 300) {
+      throw new Error(`Part ${num} is not accepted with code ${code}: ${message}`);
+    }
+  }
+
+  /**
+   * @private
+   * @param {{
+   *  url: string;
+   *  headers: Record<string, string>;
+   * }} param0
+   * @returns {Promise<UploadFileResult>}
+   */
+  async completeUploadRequest({ url, headers }) {
+    const { code, body } = await this.sendRequest({ url, method: 'POST', headers });
+    if (!code || code >= 500) {
+      throw new Error(`Failed to complete upload with code ${code}: ${body}`);
+    }
+    const chunks = body.split(UPLOAD_CHUNK_DELIMITER);
+    const message = chunks[chunks.length - 1] || chunks[chunks.length - 2] || '';
+    return {
+      status:
+        message === UPLOADED_FILE_MESSAGE.replace(UPLOAD_CHUNK_DELIMITER, '') ? 'info' : 'error',
+      code,
+      message,
+    };
+  }
+
+  /**
+   * Upload whole file or stream with one request,
+   * it's used for tarballs and for servers without resumable upload.
+   * It rejects on errors of network and server, so the upload can be repeated with a new stream
+   * @private
+   * @param {UploadFileParams & {
+   *  source?: Readable | Pack;
+   * }} param0
+   * @returns {Promise<UploadFileResult>}
+   */
+  async uploadFileStreamRequest({ filePath, source, url, service, fileName, connId, tarball }) {
+    // Size of stream is unknown until it is read
     const allSize = await new Promise((_resolve) => {
+      if (source) {
+        _resolve(0);
+        return;
+      }
       stat(filePath, (err, data) => {
         if (err) {
           console.error('Failed to get stat of file', err);
@@ -815,27 +1898,21 @@ export default class Deploy extends WS {
 
     const fn = await this.setRequest(url);
 
-    return new Promise((_resolve) => {
+    return new Promise((_resolve, reject) => {
       let size = 0;
       let sizeUpload = 0;
       let speed = '-- KB/s';
-      let fileSize = '-- B';
       let oldSize = 0;
       const interval = setInterval(() => {
-        const _speed = sizeUpload - oldSize;
+        const _speed = size - oldSize;
         speed =
           _speed !== 0
             ? `${filesize(_speed / (UPLOAD_SPEED_INTERVAL / 1000), {
                 standard: 'jedec',
               })}/s`
             : speed;
-        oldSize = sizeUpload;
+        oldSize = size;
       }, UPLOAD_SPEED_INTERVAL);
-      const interval2 = setInterval(() => {
-        fileSize = filesize(sizeUpload, {
-          standard: 'jedec',
-        });
-      }, 1000);
 
       /**
        * @param {number} _size
@@ -843,10 +1920,43 @@ export default class Deploy extends WS {
        * @returns {number}
        */
       const calculatePercents = (_size, curSize) => {
-        const _percent = (curSize / _size) * 100;
+        if (!_size) {
+          return 0;
+        }
+        const _percent = Math.min((curSize / _size) * 100, 100);
         return parseInt(_percent.toFixed(0), 10);
       };
 
+      const updateProgress = () => {
+        const written = filesize(size, { standard: 'jedec' });
+        const shift = 10 - speed.length;
+        const output = allSize
+          ? `${service}|${fileName} - uploading: ${percentUpload}% |${new Array(shift)
+              .fill(' ')
+              .join('')} ${speed} | ${written}/${filesize(allSize, { standard: 'jedec' })}`
+          : `${service}|${fileName} - uploading: ${written} |${new Array(shift)
+              .fill(' ')
+              .join('')} ${speed}`;
+        this.uploadProgress.update(`${service}|${fileName}`, output);
+      };
+
+      /**
+       * Tarball is a minipass stream, it has the same events as Readable
+       * @type {Readable}
+       */
+      const file = source
+        ? /** @type {typeof as<Readable>} */ (as)(source)
+        : createReadStream(filePath, { highWaterMark: UPLOAD_CHUNK_SIZE });
+
+      /**
+       * @param {Error} error
+       */
+      const fail = (error) => {
+        this.uploadProgress.clear();
+        file.destroy();
+        reject(error);
+      };
+
       const req = fn(
         url,
         {
@@ -877,35 +1987,18 @@ export default class Deploy extends WS {
             if (percent !== 100) {
               percent = calculatePercents(allSize, size);
             }
-
-            const shift = 10 - speed.length;
-
-            const output = `${service}|${fileName} - uploading: ${percentUpload}% |${new Array(
-              shift
-            )
-              .fill(' ')
-              .join('')} ${speed} | read: ${percent}% | ${filesize(allSize, {
-              standard: 'jedec',
-            })}/${fileSize}`;
-
-            stdoutWriteStart(output);
+            updateProgress();
           });
 
           res.on('error', (err) => {
-            stdoutWriteStart('');
-            console.warn(
-              'Can not upload file',
-              `url: ${url}, percent: ${percent}, percentUpload: ${percentUpload}`
-            );
-            console.error('Failed to upload file', err);
-            _resolve({
-              status: 'error',
-              code: res.statusCode,
-              message: err.message,
-            });
+            fail(err);
           });
 
           res.on('end', () => {
+            if (!res.statusCode || res.statusCode >= 500) {
+              fail(new Error(`Upload is failed with code ${res.statusCode}: ${message}`));
+              return;
+            }
             _resolve({
               status:
                 message === UPLOADED_FILE_MESSAGE.replace(UPLOAD_CHUNK_DELIMITER, '')
@@ -918,8 +2011,6 @@ export default class Deploy extends WS {
         }
       );
 
-      const file = createReadStream(filePath, { highWaterMark: UPLOAD_CHUNK_SIZE });
-
       file.on('data', async (chunk) => {
         if (checkNeedWait()) {
           file.pause();
@@ -927,129 +2018,99 @@ export default class Deploy extends WS {
           file.resume();
         }
         size += chunk.length;
-        req.write(chunk);
+        if (!allSize) {
+          updateProgress();
+        }
+        if (!req.write(chunk)) {
+          file.pause();
+          req.once('drain', () => {
+            file.resume();
+          });
+        }
       });
 
       file.on('end', () => {
-        stdoutWriteStart('');
-        console.log('End read file', filePath);
-        file.close();
+        console.log('End read file', filePath || fileName);
         req.end();
       });
 
       file.on('error', (e) => {
         console.error('Failed to read file to upload', e);
+        req.destroy();
+        fail(e);
       });
 
       req.on('error', (error) => {
-        stdoutWriteStart('');
         console.warn(
           'Request error',
           `url: ${url}, percent: ${percent}, percentUpload: ${percentUpload}`
         );
-        console.error('Request failed', error);
-        process.exit(1);
+        fail(error);
       });
 
       req.on('timeout', () => {
-        stdoutWriteStart('');
-        console.error('Request timeout exceeded', url);
-        process.exit(1);
+        req.destroy();
+        fail(new Error(`Request timeout exceeded ${url}`));
       });
 
       req.on('close', () => {
-        req.destroy();
         clearInterval(interval);
-        clearInterval(interval2);
       });
     });
   }
 
   /**
    * @private
-   */
-  getMetadataFilePath() {
-    return getPackagePath(METADATA_FILE_NAME);
-  }
-
-  /**
-   * @private
-   * @param {string} metadataFilePath
-   * @returns {Promise<Metadata | null>}
-   */
-  async readMetadataFile(metadataFilePath) {
-    const res = await readFile(metadataFilePath).catch((error) => {
-      console.error('Failed to read metadata file', error);
-    });
-    /**
-     * @type {Metadata | null}
-     */
-    if (!res) {
-      return null;
-    }
-    let data = null;
-    try {
-      data = JSON.parse(res.toString());
-    } catch (error) {
-      console.error('Failed to parse metadata file', { error, metadataFilePath });
-    }
-    return data;
-  }
-
-  /**
-   * @private
-   * @param {string} metadataFilePath
-   * @param {Metadata} data
-   */
-  async writeMetadataFile(metadataFilePath, data) {
-    await writeFile(metadataFilePath, JSON.stringify(data)).catch((error) => {
-      console.error('Failed to write metadata file', error);
-    });
-  }
-
-  /**
-   * @private
-   * @returns
+   * @returns {Promise<ConfigFile | null>} config of the last deploy
    */
   async checkMetadata() {
     if (!this.config) {
-      return;
-    }
-    const metadataFilePath = this.getMetadataFilePath();
-    /**
-     * @type {Metadata | null}
-     */
-    let metadata = null;
-    if (existsSync(metadataFilePath)) {
-      metadata = await this.readMetadataFile(metadataFilePath);
+      return null;
     }
+    const projectDir = dirname(this.configFile);
+    const { dryRun, env } = this.options;
+    // Id of project is created by the first deploy which is not a dry run
+    const metadataKey = metadataFile.getKey(projectDir, env, !dryRun);
+    const saved = await metadataFile.read();
+    const metadata = saved && metadataFile.migrate(saved, projectDir, env);
 
     if (metadata) {
-      const metadataProject = metadata.projects[CWD];
+      const metadataProject = metadata.projects[metadataKey];
       if (metadataProject) {
+        const deployed = structuredClone(metadataProject);
         this.checkRenameProject({ metadataProject });
-        const newServices = this.checkChangeImage({ metadataProject });
+        const newServices = await this.checkChangeImage({ metadataProject });
         Object.keys(newServices).forEach((item) => {
-          metadata.projects[CWD].services[item] = newServices[item];
+          if (this.targetServices.indexOf(item) === -1) {
+            return;
+          }
+          metadata.projects[metadataKey].services[item] = newServices[item];
         });
 
-        const deletedServices = this.checkMetadataDeletedservices({ metadataProject });
+        const deletedServices = this.isPartialDeploy()
+          ? []
+          : this.checkMetadataDeletedservices({ metadataProject });
         deletedServices.forEach((item) => {
-          delete metadata.projects[CWD].services[item];
+          delete metadata.projects[metadataKey].services[item];
         });
 
-        await this.writeMetadataFile(metadataFilePath, metadata);
-      } else {
-        metadata.projects[CWD] = this.config;
-        await this.writeMetadataFile(metadataFilePath, metadata);
+        if (!this.options.dryRun) {
+          await metadataFile.write(metadata);
+        }
+        return deployed;
       }
-    } else {
-      await this.writeMetadataFile(metadataFilePath, {
+      metadata.projects[metadataKey] = this.config;
+      if (!this.options.dryRun) {
+        await metadataFile.write(metadata);
+      }
+    } else if (!this.options.dryRun) {
+      await metadataFile.write({
         projects: {
-          [CWD]: this.config,
+          [metadataKey]: this.config,
         },
       });
     }
+    return null;
   }
 
   /**
@@ -1066,20 +2127,24 @@ export default class Deploy extends WS {
     const oldName = metadataProject.name;
 
     if (metadataProject.name !== this.config.name) {
-      console.warn('Ingnoring to rename project', `${oldName} != ${this.config.name}`);
+      console.warn(
+        'Ingnoring to rename project',
+        `${oldName} != ${this.config.name}. Run "${PACKAGE_NAME} metadata" to manage it`
+      );
       this.config.name = oldName;
       this.project = oldName;
     }
   }
 
   /**
+   * Service with changed image is migrated after confirmation, otherwise deployed one is used
    * @private
    * @param {{
    *  metadataProject: ConfigFile
    * }} param0
-   * @returns
+   * @returns {Promise<ConfigFile['services']>}
    */
-  checkChangeImage({ metadataProject }) {
+  async checkChangeImage({ metadataProject }) {
     /**
      * @type {ConfigFile['services']}
      */
@@ -1089,29 +2154,171 @@ export default class Deploy extends WS {
     }
 
     const { services } = this.config;
-
-    Object.keys(services).forEach((item) => {
+    const serviceNames = Object.keys(services);
+    for (let i = 0; serviceNames[i]; i++) {
+      const item = serviceNames[i];
       const service = services[item];
       const mService = metadataProject.services[item];
-      if (mService) {
-        if (mService.image !== service.image) {
-          console.warn(
-            `Ignoring change image for service "${item}"`,
-            `${mService.image} != ${service.image}. Using cached service data.`
-          );
-          if (!this.config) {
-            return;
+      if (mService && mService.image !== service.image) {
+        if (await this.confirmMigration({ name: item, from: mService.image, to: service.image })) {
+          const backup = await this.backupService(item);
+          if (!backup) {
+            console.error(
+              `Migration of service "${item}" is aborted`,
+              'Data of service is not backed up, try again later'
+            );
+            process.exit(1);
           }
-          this.config.services[item] = mService;
+          console.info(`Data of service "${item}" is backed up`, backup);
+          this.migratedServices.push(item);
+          // Service is deleted by this deploy and it is created by the next one
+          delete this.config.services[item];
+          continue;
         }
-      } else {
-        res[item] = service;
+        console.warn(
+          `Ignoring change image for service "${item}"`,
+          `${mService.image} != ${service.image}. Using cached service data.`
+        );
+        this.config.services[item] = mService;
+        continue;
       }
-    });
+      res[item] = service;
+    }
 
     return res;
   }
 
+  /**
+   * Next deploy over the same connection creates migrated services with the new image
+   * @private
+   */
+  deployMigrated() {
+    const { onExit } = this;
+    this.onExit = (code) => {
+      if (code !== 0) {
+        if (onExit) {
+          onExit(code);
+          return;
+        }
+        process.exit(code);
+      }
+      console.info('Starting create migrated services', this.migratedServices.join(', '));
+      const deploy = new Deploy(this.options, this.serviceNames, this);
+      deploy.onExit = onExit;
+      deploy.resume();
+    };
+  }
+
+  /**
+   * @private
+   * @param {{
+   *  name: string;
+   *  from: string;
+   *  to: string;
+   * }} param0
+   * @returns {Promise<boolean>}
+   */
+  async confirmMigration({ name, from, to }) {
+    const { dryRun, interractive } = this.options;
+    if (!this.config || dryRun || this.options.watch || !interractive) {
+      return false;
+    }
+    if (this.isPartialDeploy()) {
+      console.warn(
+        `Image of service "${name}" can not be migrated with deploy of some services`,
+        'Run deploy of all services to migrate it'
+      );
+      return false;
+    }
+    const { services } = this.config;
+    if (!Object.keys(services).find((item) => item !== name && services[item].active)) {
+      console.warn(
+        `Image of service "${name}" can not be migrated`,
+        'Project is removed when it has not other active services'
+      );
+      return false;
+    }
+
+    console.warn(
+      `Image of service "${name}" is changed`,
+      `${from} -> ${to}. Data of service is downloaded to backup, then service is deleted ` +
+        'with all data and created again with the new image'
+    );
+    return inquirer.confirm(`Do you want to migrate service "${name}" to image "${to}"?`, false);
+  }
+
+  /**
+   * Data of service is exported by the cloud and downloaded before service is deleted
+   * @private
+   * @param {string} service
+   * @returns {Promise<string | null>} path of backup file
+   */
+  async backupService(service) {
+    console.info(`Starting back up data of service "${service}"`, 'It can take a while');
+    /**
+     * @type {string | null}
+     */
+    const url = await new Promise((_resolve) => {
+      const timeout = setTimeout(() => {
+        delete this.backupWaiters[service];
+        console.error(
+          `Timeout of back up service "${service}"`,
+          `The cloud did not answer in ${BACKUP_TIMEOUT / 1000} seconds`
+        );
+        _resolve(null);
+      }, BACKUP_TIMEOUT);
+      this.backupWaiters[service] = (_url) => {
+        clearTimeout(timeout);
+        _resolve(_url);
+      };
+      /** @type {typeof this.sendMessage<'serviceBackupServer'>} */ (this.sendMessage)({
+        token: this.token,
+        message: '',
+        type: 'serviceBackupServer',
+        userId: this.userId,
+        packageName: PACKAGE_NAME,
+        data: {
+          project: this.project,
+          service,
+        },
+        status: 'info',
+        connId: this.connId,
+      });
+    });
+    if (!url) {
+      return null;
+    }
+
+    const backupsPath = getPackagePath(`${this.project}/${BACKUPS_DIR_NAME}`);
+    if (!existsSync(backupsPath)) {
+      mkdirSync(backupsPath, { recursive: true });
+    }
+    const id = new Date().toISOString().replace(/[-:.]/g, '');
+    const filePath = resolve(backupsPath, `${service}-${id}.tgz`);
+    return downloadFile({ url, filePath })
+      .then(() => filePath)
+      .catch((error) => {
+        console.error('Failed to download backup of service', { service, error });
+        return null;
+      });
+  }
+
+  /**
+   * @private
+   * @param {WSMessageCli<'serviceBackupCli'>} param0
+   */
+  backupCli({ data: { service, url, error } }) {
+    if (error) {
+      console.error(`${CLOUD_LOG_PREFIX} Failed to back up service "${service}"`, error);
+    }
+    const waiter = this.backupWaiters[service];
+    if (!waiter) {
+      return;
+    }
+    delete this.backupWaiters[service];
+    waiter(url);
+  }
+
   /**
    * @private
    * @param {{
@@ -1137,32 +2344,4 @@ export default class Deploy extends WS {
     });
     return res;
   }
-
-  /**
-   * @private
-   * @returns {WSMessageDataCli['prepareDeployServer']['env']}
-   */
-  getEnvVariables() {
-    if (!this.config) {
-      return {};
-    }
-    /**
-     * @type {WSMessageDataCli['prepareDeployServer']['env']}
-     */
-    const res = {};
-    const configStr = this.yaml.stringify(this.config);
-    const { env } = process;
-    let envsM = configStr.match(ENV_VARIABLE_REGEX);
-    if (!envsM) {
-      return res;
-    }
-    const envs = envsM.map((item) => item.replace(ENV_VARIABLES_CLEAN_REGEX, ''));
-    envs.forEach((item) => {
-      const value = env[item];
-      if (value) {
-        res[item] = value;
-      }
-    });
-    return res;
-  }
 }
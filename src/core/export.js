@@ -0,0 +1,139 @@
+/******************************************************************************************
+ * Repository: Conhos cli
+ * File name: export.js
+ * Author: Sergey Kolmiller
+ * Email: <kolserdav@conhos.ru>
+ * License: MIT
+ * License text: See LICENSE file
+ * Copyright: kolserdav, All rights reserved (c)
+ * Create Date: Mon Oct 19 2026 12:00:00 GMT+0700 (Krasnoyarsk Standard Time)
+ ******************************************************************************************/
+import Console from 'console';
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { basename, dirname, resolve } from 'path';
+import { PACKAGE_NAME } from '../utils/constants.js';
+import {
+  console,
+  getConfigFilePath,
+  getConfigOverlayFilePath,
+  mergeDeep,
+  readDeployData,
+} from '../utils/lib.js';
+import Compose from '../utils/compose.js';
+import Include from '../utils/include.js';
+import Yaml from '../utils/yaml.js';
+
+/**
+ * @typedef {import("../connectors/ws.js").Options} Options
+ * @typedef {import('conhos-vscode').ConfigFile} ConfigFile
+ */
+
+const EXPORT_FORMATS = ['compose'];
+
+const compose = new Compose();
+const include = new Include();
+const yaml = new Yaml();
+
+/**
+ * Convert config file to files of other tools without connection to the cloud
+ */
+export default class Export {
+  /**
+   * @type {Options}
+   */
+  options;
+
+  /**
+   * @type {string}
+   */
+  format;
+
+  /**
+   * @type {string}
+   */
+  configFile;
+
+  /**
+   * @param {Options} options
+   * @param {string} format
+   */
+  constructor(options, format) {
+    this.options = options;
+    this.format = format;
+    this.configFile = getConfigFilePath(options.config);
+    this.handler();
+  }
+
+  /**
+   * @private
+   */
+  handler() {
+    if (EXPORT_FORMATS.indexOf(this.format) === -1) {
+      console.error(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`, this.format);
+      process.exit(1);
+    }
+
+    const config = this.readConfig();
+    const output = this.options.output ? resolve(process.cwd(), this.options.output) : null;
+    const { compose: composeFile, warnings } = compose.fromConfig({
+      config,
+      deployData: readDeployData(),
+      configDir: dirname(this.configFile),
+      outputDir: output ? dirname(output) : process.cwd(),
+    });
+    warnings.forEach(({ service, msg }) => {
+      console.warn(service ? `Service "${service}": ${msg}` : msg, '');
+    });
+
+    const header = `# Generated by "${PACKAGE_NAME} export compose" from ${basename(this.configFile)}`;
+    const data = `${header}\n${yaml.stringify(composeFile)}`;
+    if (output) {
+      writeFileSync(output, data);
+      console.info('Docker compose file is written to', this.options.output);
+    } else {
+      Console.log(data);
+    }
+    process.exit(0);
+  }
+
+  /**
+   * @private
+   * @returns {ConfigFile}
+   */
+  readConfig() {
+    if (!existsSync(this.configFile)) {
+      console.error('Config file is not exists', this.configFile);
+      process.exit(1);
+    }
+    const configText = readFileSync(this.configFile).toString();
+    const parsed = yaml.parse(configText);
+    if (!parsed) {
+      process.exit(1);
+    }
+    const { config, error } = include.resolve({
+      config: parsed,
+      configText,
+      configFile: this.configFile,
+    });
+    if (error) {
+      const { lineStart, columnStart } = error.position;
+      console.error(
+        `${error.msg}: ${error.data}`,
+        `${error.file}:${lineStart + 1}:${columnStart + 1}`
+      );
+      process.exit(1);
+    }
+    if (!this.options.env) {
+      return config;
+    }
+    const overlayFile = getConfigOverlayFilePath(this.configFile, this.options.env);
+    const overlay = existsSync(overlayFile)
+      ? yaml.parse(readFileSync(overlayFile).toString())
+      : null;
+    if (!overlay) {
+      console.error(`Config file of environment "${this.options.env}" is wrong`, overlayFile);
+      process.exit(1);
+    }
+    return mergeDeep(config, overlay);
+  }
+}
@@ -8,9 +8,11 @@
  * Copyright: kolserdav, All rights reserved (c)
  * Create Date: Sun Sep 01 2024 13:12:51 GMT+0700 (Krasnoyarsk Standard Time)
  ******************************************************************************************/
-import { existsSync } from 'fs';
+import { existsSync, readFileSync } from 'fs';
+import { dirname, resolve } from 'path';
 import WS from '../connectors/ws.js';
 import Inquirer from '../utils/inquirer.js';
+import Compose from '../utils/compose.js';
 import {
   CURRENCY,
   SIZE_INDEX_DEFAULT,
@@ -20,7 +22,6 @@ import {
 } from '../utils/constants.js';
 import { computeCostService, isCustomService, isCommonService } from 'conhos-vscode/dist/lib.js';
 import {
-  getConfigFilePath,
   console,
   getPackageName,
   getRustCommandDefault,
@@ -48,14 +49,9 @@ import { PORT_DEFAULT, PORT_MAX, PORT_TYPES } from 'conhos-vscode/dist/constants
  */
 
 const inquirer = new Inquirer();
+const compose = new Compose();
 
 export default class Init extends WS {
-  /**
-   * @public
-   * @type {string}
-   */
-  configFile;
-
   /**
    * @private
    * @type {ConfigFile['services']}
@@ -109,9 +105,8 @@ export default class Init extends WS {
      */
     this.config = null;
 
-    this.configFile = getConfigFilePath();
-
-    this.options = options;
+    // Init writes the base config file, so overlay of environment is not merged
+    this.options = { ...options, env: undefined };
 
     this.index = 0;
   }
@@ -139,6 +134,10 @@ export default class Init extends WS {
       const _type = type;
       switch (_type) {
         case 'deployData':
+          if (this.options.fromCompose) {
+            this.handleCompose(rawMessage);
+            break;
+          }
           if (this.overwrite || !configExists) {
             this.project = await this.getProject();
             if (configExists) {
@@ -155,7 +154,7 @@ export default class Init extends WS {
               const { config } = res;
               this.config = config;
               this.project = config.name;
-              this.services = this.config.services;
+              this.services = { ...this.configSource?.services };
             }
           }
           if (this.config) {
@@ -355,7 +354,9 @@ export default class Init extends WS {
     };
     this.increaseIndex();
 
+    // Other fields of existing config are kept in the file
     this.writeConfigFile({
+      ...this.configSource,
       name: this.project,
       server: this.server,
       services: this.services,
@@ -370,6 +371,37 @@ export default class Init extends WS {
     }
   }
 
+  /**
+   * @private
+   * @param {WSMessageCli<'deployData'>} param0
+   */
+  handleCompose({ data }) {
+    const composeFile = resolve(process.cwd(), this.options.fromCompose || '');
+    const composeConfig = this.yaml.parse(readFileSync(composeFile).toString());
+    if (!composeConfig) {
+      process.exit(1);
+    }
+
+    console.info('Importing services of docker compose file', composeFile);
+    const { config, warnings } = compose.toConfig({
+      compose: composeConfig,
+      deployData: data,
+      name: this.project,
+      cwd: dirname(composeFile),
+    });
+    warnings.forEach(({ service, msg }) => {
+      console.warn(service ? `Service "${service}": ${msg}` : msg, '');
+    });
+    if (Object.keys(config.services).length === 0) {
+      console.error('Services to import are missing', composeFile);
+      process.exit(1);
+    }
+
+    this.writeConfigFile(config);
+    console.info('Project successfully initialized', this.configFile);
+    process.exit(0);
+  }
+
   /**
    * @private
    * @param {string} service
@@ -448,7 +480,10 @@ export default class Init extends WS {
    */
   async handler() {
     console.info('Starting init service script...', '');
-    if (!existsSync(this.configFile)) {
+    if (this.options.fromCompose) {
+      await this.prepareCompose();
+    }
+    if (!existsSync(this.configFile) || this.options.fromCompose) {
       console.info('Config file is not found, creating...', this.configFile);
       /** @type {typeof this.sendMessage<'getDeployData'>} */ this.sendMessage({
         token: this.token,
@@ -513,6 +548,28 @@ export default class Init extends WS {
     });
   }
 
+  /**
+   * @private
+   */
+  async prepareCompose() {
+    const composeFile = resolve(process.cwd(), this.options.fromCompose || '');
+    if (!existsSync(composeFile)) {
+      console.error('Docker compose file is not exists', composeFile);
+      process.exit(1);
+    }
+    if (!existsSync(this.configFile) || this.options.yes) {
+      return;
+    }
+    const overwriteConf = await inquirer.confirm(
+      'Config file is exists, do you want to overwrite it?',
+      false
+    );
+    if (!overwriteConf) {
+      console.info('This project has been initialized before');
+      process.exit(0);
+    }
+  }
+
   increaseIndex() {
     this.index++;
   }
@@ -8,17 +8,17 @@
  * Copyright: kolserdav, All rights reserved (c)
  * Create Date: Sun Sep 01 2024 13:12:51 GMT+0700 (Krasnoyarsk Standard Time)
  ******************************************************************************************/
-import { existsSync, rmSync, writeFileSync } from 'fs';
 import WS from '../connectors/ws.js';
-import { console, getPackagePath, openBrowser, parseMessageCli } from '../utils/lib.js';
+import { console, openBrowser, parseMessageCli } from '../utils/lib.js';
 import {
-  SESSION_FILE_NAME,
   LOGIN_PAGE,
   QUERY_STRING_CONN_ID,
   PACKAGE_NAME,
+  PROFILE_DEFAULT,
 } from '../utils/constants.js';
 import Crypto from '../utils/crypto.js';
 import Inquirer from '../utils/inquirer.js';
+import Profiles from '../utils/profiles.js';
 
 /**
  * @typedef {import('../connectors/ws.js').Options} Options
@@ -34,6 +34,7 @@ import Inquirer from '../utils/inquirer.js';
 
 const inquirer = new Inquirer();
 const crypto = new Crypto();
+const profiles = new Profiles();
 
 export default class Login extends WS {
   /**
@@ -56,9 +57,8 @@ export default class Login extends WS {
     }
 
     if (this.options.remove) {
-      const authPath = getPackagePath(SESSION_FILE_NAME);
-      if (existsSync(authPath)) {
-        rmSync(authPath);
+      const authPath = profiles.getSessionFilePath(this.profile);
+      if (profiles.removeSession(this.profile)) {
         console.info('Session token was deleted', authPath);
       } else {
         console.warn('Session token file not found', authPath);
@@ -132,9 +132,14 @@ export default class Login extends WS {
       const key = crypto.createHash(password);
       session = crypto.encrypt(token, key, userId);
     }
-    const authPath = getPackagePath(SESSION_FILE_NAME);
-    writeFileSync(authPath, JSON.stringify(session));
-    console.info('Successfully logged in', '');
+    profiles.writeSession(this.profile, session);
+    console.info('Successfully logged in', this.profile === PROFILE_DEFAULT ? '' : this.profile);
+    if (this.profile !== PROFILE_DEFAULT && profiles.getActive() !== this.profile) {
+      console.info(
+        'Profile is used with --profile option or with',
+        `${PACKAGE_NAME} profile use ${this.profile}`
+      );
+    }
     process.exit(0);
   }
 
@@ -0,0 +1,191 @@
+/******************************************************************************************
+ * Repository: Conhos cli
+ * File name: metadata.js
+ * Author: Sergey Kolmiller
+ * Email: <kolserdav@conhos.ru>
+ * License: MIT
+ * License text: See LICENSE file
+ * Copyright: kolserdav, All rights reserved (c)
+ * Create Date: Mon Oct 19 2026 12:00:00 GMT+0700 (Krasnoyarsk Standard Time)
+ ******************************************************************************************/
+import Console from 'console';
+import { dirname, resolve } from 'path';
+import { PACKAGE_NAME } from '../utils/constants.js';
+import Inquirer from '../utils/inquirer.js';
+import { console, getConfigFilePath } from '../utils/lib.js';
+import MetadataFile from '../utils/metadata.js';
+import Yaml from '../utils/yaml.js';
+
+/**
+ * @typedef {import("../connectors/ws.js").Options} Options
+ * @typedef {import('../types/interfaces.js').Metadata} MetadataData
+ */
+
+const METADATA_ACTIONS = ['show', 'reset', 'relink'];
+
+const inquirer = new Inquirer();
+const metadataFile = new MetadataFile();
+const yaml = new Yaml();
+
+/**
+ * Manage config of the last deploy which is used instead of ignored changes of config file
+ */
+export default class Metadata {
+  /**
+   * @type {Options}
+   */
+  options;
+
+  /**
+   * @type {string}
+   */
+  action;
+
+  /**
+   * @type {string | undefined}
+   */
+  dir;
+
+  /**
+   * @type {string}
+   */
+  projectDir;
+
+  /**
+   * Key of project of working directory
+   * @type {string}
+   */
+  key;
+
+  /**
+   * @param {Options} options
+   * @param {string} action
+   * @param {string} [dir]
+   */
+  constructor(options, action, dir) {
+    this.options = options;
+    this.action = action;
+    this.dir = dir;
+    this.projectDir = dirname(getConfigFilePath(options.config));
+    this.key = metadataFile.getKey(this.projectDir, options.env);
+    this.handler();
+  }
+
+  /**
+   * @private
+   */
+  async handler() {
+    if (METADATA_ACTIONS.indexOf(this.action) === -1) {
+      console.error(`Action must be one of: ${METADATA_ACTIONS.join(', ')}`, this.action);
+      process.exit(1);
+    }
+
+    const metadata = metadataFile.migrate(
+      (await metadataFile.read()) || { projects: {} },
+      this.projectDir,
+      this.options.env
+    );
+    switch (this.action) {
+      case 'show':
+        this.show(metadata);
+        break;
+      case 'reset':
+        await this.reset(metadata);
+        break;
+      case 'relink':
+        await this.relink(metadata);
+        break;
+      default:
+    }
+    process.exit(0);
+  }
+
+  /**
+   * @private
+   * @param {MetadataData} metadata
+   */
+  show(metadata) {
+    const project = metadata.projects[this.key];
+    if (!project) {
+      console.warn('Metadata of project is not found', this.key);
+      process.exit(1);
+    }
+    if (this.options.json) {
+      Console.log(JSON.stringify(project, null, 2));
+      return;
+    }
+    console.info('Config of the last deploy', this.key);
+    Console.log(yaml.stringify(project));
+  }
+
+  /**
+   * Next deploy uses name and images of config file as they are
+   * @private
+   * @param {MetadataData} metadata
+   */
+  async reset(metadata) {
+    const project = metadata.projects[this.key];
+    if (!project) {
+      console.warn('Metadata of project is not found', this.key);
+      process.exit(1);
+    }
+    console.warn(
+      `Name and images of project "${project.name}" are taken from config file on the next deploy`,
+      'If name is changed, a new project is created in the cloud and the old one is not deleted'
+    );
+    if (
+      this.options.interractive &&
+      !(await inquirer.confirm(`Do you want to reset metadata of "${this.key}"?`, false))
+    ) {
+      console.info('Operation exited', 'Reset canceled by user');
+      process.exit(1);
+    }
+    const projects = { ...metadata.projects };
+    delete projects[this.key];
+    await metadataFile.write({ ...metadata, projects });
+    console.info('Metadata of project is reset', this.key);
+  }
+
+  /**
+   * Project which is moved or cloned to other directory keeps config of the last deploy
+   * @private
+   * @param {MetadataData} metadata
+   */
+  async relink(metadata) {
+    const { env, interractive } = this.options;
+    if (!this.dir) {
+      console.error(
+        'Old directory or id of project is required',
+        `${PACKAGE_NAME} metadata relink <dir>`
+      );
+      process.exit(1);
+    }
+    const idKey = env ? `${this.dir}:${env}` : this.dir;
+    const oldKey = metadata.projects[idKey]
+      ? idKey
+      : metadataFile.getKey(resolve(process.cwd(), this.dir), env);
+    const project = metadata.projects[oldKey];
+    if (!project) {
+      console.error('Metadata of project is not found', oldKey);
+      process.exit(1);
+    }
+    if (oldKey === this.key) {
+      console.warn('Metadata of project is linked already', this.key);
+      return;
+    }
+    // Project which is relinked gets id
+    const key = metadataFile.getKey(this.projectDir, env, true);
+    if (
+      metadata.projects[key] &&
+      interractive &&
+      !(await inquirer.confirm(`Do you want to overwrite metadata of "${key}"?`, false))
+    ) {
+      console.info('Operation exited', 'Relink canceled by user');
+      process.exit(1);
+    }
+    const projects = { ...metadata.projects, [key]: project };
+    delete projects[oldKey];
+    await metadataFile.write({ ...metadata, projects });
+    console.info(`Metadata of project "${project.name}" is linked`, `${oldKey} -> ${key}`);
+  }
+}
@@ -0,0 +1,156 @@
+/******************************************************************************************
+ * Repository: Conhos cli
+ * File name: profile.js
+ * Author: Sergey Kolmiller
+ * Email: <kolserdav@conhos.ru>
+ * License: MIT
+ * License text: See LICENSE file
+ * Copyright: kolserdav, All rights reserved (c)
+ * Create Date: Mon Oct 19 2026 12:00:00 GMT+0700 (Krasnoyarsk Standard Time)
+ ******************************************************************************************/
+import Console from 'console';
+import chalk from 'chalk';
+import { PACKAGE_NAME, PROFILE_DEFAULT, PROFILE_NAME_REGEX } from '../utils/constants.js';
+import { console } from '../utils/lib.js';
+import Profiles from '../utils/profiles.js';
+
+/**
+ * @typedef {import("../connectors/ws.js").Options} Options
+ */
+
+const PROFILE_ACTIONS = ['list', 'use', 'remove'];
+
+const profiles = new Profiles();
+
+/**
+ * Manage login profiles without connection to the cloud
+ */
+export default class Profile {
+  /**
+   * @type {Options}
+   */
+  options;
+
+  /**
+   * @type {string}
+   */
+  action;
+
+  /**
+   * @type {string | undefined}
+   */
+  name;
+
+  /**
+   * @param {Options} options
+   * @param {string} action
+   * @param {string} [name]
+   */
+  constructor(options, action, name) {
+    this.options = options;
+    this.action = action;
+    this.name = name;
+    this.handler();
+  }
+
+  /**
+   * @private
+   */
+  handler() {
+    if (PROFILE_ACTIONS.indexOf(this.action) === -1) {
+      console.error(`Action must be one of: ${PROFILE_ACTIONS.join(', ')}`, this.action);
+      process.exit(1);
+    }
+
+    switch (this.action) {
+      case 'list':
+        this.list();
+        break;
+      case 'use':
+        this.use(this.getName());
+        break;
+      case 'remove':
+        this.remove(this.getName());
+        break;
+      default:
+    }
+    process.exit(0);
+  }
+
+  /**
+   * @private
+   * @returns {string}
+   */
+  getName() {
+    if (!this.name) {
+      console.error('Profile name is required', `${PACKAGE_NAME} profile ${this.action} <name>`);
+      process.exit(1);
+    }
+    if (!PROFILE_NAME_REGEX.test(this.name)) {
+      console.error(`Profile name must match ${PROFILE_NAME_REGEX}`, this.name);
+      process.exit(1);
+    }
+    return this.name;
+  }
+
+  /**
+   * @private
+   */
+  list() {
+    const names = profiles.list();
+    const current = profiles.getName(this.options.profile);
+    if (this.options.json) {
+      Console.log(
+        JSON.stringify(
+          names.map((item) => ({
+            name: item,
+            userId: profiles.readSession(item)?.uid || null,
+            current: item === current,
+          })),
+          null,
+          2
+        )
+      );
+      return;
+    }
+    if (names.length === 0) {
+      console.warn('Profiles are not found', `Run "${PACKAGE_NAME} login" first`);
+      return;
+    }
+    names.forEach((item) => {
+      const session = profiles.readSession(item);
+      const encrypted = session && session.iv !== '' ? ' (encrypted)' : '';
+      const line = `${item === current ? '*' : ' '} ${item}${encrypted}`;
+      Console.log(item === current ? chalk.green(line) : line);
+    });
+  }
+
+  /**
+   * @private
+   * @param {string} name
+   */
+  use(name) {
+    if (!profiles.readSession(name)) {
+      const profileOption = name === PROFILE_DEFAULT ? '' : ` --profile ${name}`;
+      console.error(
+        'Profile is not found',
+        `Run "${PACKAGE_NAME} login${profileOption}" to create it`
+      );
+      process.exit(1);
+    }
+    profiles.setActive(name);
+    console.info('Profile is used by default', name);
+  }
+
+  /**
+   * @private
+   * @param {string} name
+   */
+  remove(name) {
+    if (!profiles.removeSession(name)) {
+      console.error('Profile is not found', name);
+      process.exit(1);
+    }
+    console.info('Profile is removed', name);
+  }
+}
@@ -0,0 +1,88 @@
+/******************************************************************************************
+ * Repository: Conhos cli
+ * File name: releases.js
+ * Author: Sergey Kolmiller
+ * Email: <kolserdav@conhos.ru>
+ * License: MIT
+ * License text: See LICENSE file
+ * Copyright: kolserdav, All rights reserved (c)
+ * Create Date: Mon Oct 19 2026 12:00:00 GMT+0700 (Krasnoyarsk Standard Time)
+ ******************************************************************************************/
+import Console from 'console';
+import chalk from 'chalk';
+import WS from '../connectors/ws.js';
+import { PACKAGE_NAME } from '../utils/constants.js';
+import { console, parseMessageCli } from '../utils/lib.js';
+import Release from '../utils/release.js';
+
+const release = new Release();
+
+/**
+ * @typedef {import("../connectors/ws.js").Options} Options
+ * @typedef {import('../types/interfaces.js').WSMessageDataCli} WSMessageDataCli
+ */
+
+export default class Releases extends WS {
+  listener() {
+    if (!this.conn) {
+      return;
+    }
+    this.conn.on('message', async (d) => {
+      const rawMessage = /** @type {typeof parseMessageCli<any>} */ (parseMessageCli)(d.toString());
+      if (rawMessage === null) {
+        return;
+      }
+      await this.handleCommonMessages(rawMessage);
+    });
+  }
+
+  /**
+   * @public
+   * @type {WS['handler']}
+   */
+  async handler() {
+    let name = this.options.project || 'no-project';
+    if (this.config && !this.options.project) {
+      name = this.config.name;
+    }
+
+    const releases = await release.list(name);
+    if (this.options.json) {
+      Console.log(
+        JSON.stringify(
+          releases.map(({ config, configText, volumes, ...item }) => item),
+          null,
+          2
+        )
+      );
+      process.exit(0);
+    }
+
+    if (releases.length === 0) {
+      console.info(
+        `Releases of project "${name}" are missing`,
+        `Run "${PACKAGE_NAME} deploy" first`
+      );
+      process.exit(0);
+    }
+
+    Console.log(`Releases of project "${name}":`);
+    releases.forEach(({ id, timestamp, version, commit, manifestHash, services }, index) => {
+      Console.log(
+        [
+          chalk.bold(id),
+          new Date(timestamp).toLocaleString(),
+          `v${version}`,
+          `commit: ${commit ? commit.substring(0, 7) : '-'}`,
+          `files: ${manifestHash.substring(0, 12)}`,
+          `services: ${services.join(', ') || '-'}`,
+          index === 0 ? chalk.green('(latest)') : '',
+        ]
+          .join('  ')
+          .trim()
+      );
+    });
+    Console.log(`\nRun "${PACKAGE_NAME} rollback <release>" to deploy one of them again`);
+    process.exit(0);
+  }
+}
@@ -0,0 +1,123 @@
+/******************************************************************************************
+ * Repository: Conhos cli
+ * File name: rollback.js
+ * Author: Sergey Kolmiller
+ * Email: <kolserdav@conhos.ru>
+ * License: MIT
+ * License text: See LICENSE file
+ * Copyright: kolserdav, All rights reserved (c)
+ * Create Date: Mon Oct 19 2026 12:00:00 GMT+0700 (Krasnoyarsk Standard Time)
+ ******************************************************************************************/
+import { resolve } from 'path';
+import Deploy from './deploy.js';
+import { CACHE_FILE_NAME, PACKAGE_NAME } from '../utils/constants.js';
+import { console, getTmpDir } from '../utils/lib.js';
+import Release from '../utils/release.js';
+
+const release = new Release();
+
+/**
+ * @typedef {import("../connectors/ws.js").Options} Options
+ */
+
+/**
+ * Deploy config and files of a saved release
+ */
+export default class Rollback extends Deploy {
+  /**
+   * @private
+   * @type {string}
+   */
+  releaseId;
+
+  /**
+   * Directories with extracted files of release
+   * @private
+   * @type {Record<string, string>}
+   */
+  releaseDirs = {};
+
+  /**
+   * @param {Options} options
+   * @param {string} releaseId
+   */
+  constructor(options, releaseId) {
+    super(options);
+    this.releaseId = releaseId;
+  }
+
+  /**
+   * @public
+   * @type {Deploy['handler']}
+   */
+  async handler(options, msg) {
+    if (!this.config) {
+      return;
+    }
+
+    const data = await release.read(this.project, this.releaseId);
+    if (!data) {
+      console.error(
+        `Release "${this.releaseId}" of project "${this.project}" is not found`,
+        `Run "${PACKAGE_NAME} releases" to see all`
+      );
+      process.exit(1);
+    }
+
+    console.info(
+      'Starting rollback to release',
+      `${data.id} from ${new Date(data.timestamp).toLocaleString()}`
+    );
+    this.config = data.config;
+    this.configText = data.configText;
+    // Config of release is not read from files
+    this.configOrigin = null;
+    this.volumes = data.volumes;
+
+    for (let i = 0; data.services[i]; i++) {
+      const service = data.services[i];
+      const cwd = resolve(getTmpDir(), service);
+      if (await release.extract({ project: this.project, id: data.id, service, cwd })) {
+        this.releaseDirs[service] = cwd;
+      }
+    }
+
+    await super.handler(options, msg);
+  }
+
+  /**
+   * Cache of release files is temporary, so the next deploy compares working files with the cloud
+   * @protected
+   * @type {Deploy['setCacheFilePath']}
+   */
+  setCacheFilePath({ service }) {
+    this.cacheFilePath[service] = resolve(getTmpDir(), `${service}${CACHE_FILE_NAME}`);
+  }
+
+  /**
+   * Files of release are compared with files in the cloud, because cache of release is new
+   * @protected
+   * @type {Deploy['getPreviousCache']}
+   */
+  async getPreviousCache(service, cached) {
+    await this.writeCacheFile(service, cached);
+    return cached;
+  }
+
+  /**
+   * Hooks build and check working files, but files of release are already built
+   * @protected
+   * @type {Deploy['runHooks']}
+   */
+  async runHooks() {
+    return true;
+  }
+
+  /**
+   * @protected
+   * @type {Deploy['getServiceDir']}
+   */
+  getServiceDir(service, pwd) {
+    return this.releaseDirs[service] || super.getServiceDir(service, pwd);
+  }
+}
@@ -0,0 +1,322 @@
+/******************************************************************************************
+ * Repository: Conhos cli
+ * File name: schema.js
+ * Author: Sergey Kolmiller
+ * Email: <kolserdav@conhos.ru>
+ * License: MIT
+ * License text: See LICENSE file
+ * Copyright: kolserdav, All rights reserved (c)
+ * Create Date: Mon Oct 19 2026 12:00:00 GMT+0700 (Krasnoyarsk Standard Time)
+ ******************************************************************************************/
+import Console from 'console';
+import { writeFileSync } from 'fs';
+import { resolve } from 'path';
+import {
+  ALLOWED_HTTP_VERSIONS,
+  ALLOWED_ON_OFFS,
+  GIT_UNTRACKED_POLICY,
+  PORT_MAX,
+  PORT_TYPES,
+  PROJECT_NAME_LENGTH_MAX,
+  REPLICAS_MAX,
+  RESTART_VALUES,
+  SECONDS_REGEX,
+  SERVICE_NAME_LENGTH_MAX,
+  SERVICE_TYPES,
+  VOLUME_GLOBAL_NAME_REGEX,
+  VOLUMES_GLOBAL_COUNT,
+} from 'conhos-vscode/dist/constants.js';
+import { CONFIG_FILE_NAME, HOOK_NAMES, PACKAGE_NAME } from '../utils/constants.js';
+import { console, filterUnique, readDeployData } from '../utils/lib.js';
+
+/**
+ * @typedef {import("../connectors/ws.js").Options} Options
+ * @typedef {import('conhos-vscode').DeployData} DeployData
+ * @typedef {Record<string, any>} JSONSchema
+ */
+
+const SCHEMA_DRAFT = 'https://json-schema.org/draft/2020-12/schema';
+
+/**
+ * Write JSON Schema of config file for YAML language servers
+ */
+export default class Schema {
+  /**
+   * @type {Options}
+   */
+  options;
+
+  /**
+   * @param {Options} options
+   */
+  constructor(options) {
+    this.options = options;
+    this.handler();
+  }
+
+  /**
+   * @private
+   */
+  handler() {
+    const deployData = readDeployData();
+    if (!deployData) {
+      console.warn(
+        'Deploy data is missing, versions of images are not included',
+        `Run any "${PACKAGE_NAME}" command with connection to the cloud once to save it`
+      );
+    }
+
+    const schema = JSON.stringify(this.getSchema(deployData), null, 2);
+    if (this.options.output) {
+      writeFileSync(resolve(process.cwd(), this.options.output), schema);
+      console.info('Schema is written to', this.options.output);
+    } else {
+      Console.log(schema);
+    }
+    process.exit(0);
+  }
+
+  /**
+   * @private
+   * @param {DeployData | null} deployData
+   * @returns {JSONSchema}
+   */
+  getSchema(deployData) {
+    return {
+      $schema: SCHEMA_DRAFT,
+      $id: `https://conhos.ru/${PACKAGE_NAME}.schema.json`,
+      title: CONFIG_FILE_NAME,
+      description: `Configuration file of ${PACKAGE_NAME} project`,
+      type: 'object',
+      required: ['name', 'services'],
+      properties: {
+        name: {
+          type: 'string',
+          description: 'Project name',
+          maxLength: PROJECT_NAME_LENGTH_MAX,
+        },
+        server: {
+          type: 'object',
+          description: 'Own server of project',
+          required: ['node_name', 'api_key'],
+          properties: {
+            node_name: { type: 'string' },
+            api_key: { type: 'string' },
+          },
+          additionalProperties: false,
+        },
+        services: {
+          type: 'object',
+          description: 'Services of project',
+          propertyNames: { maxLength: SERVICE_NAME_LENGTH_MAX },
+          additionalProperties: { $ref: '#/$defs/service' },
+        },
+        volumes: {
+          type: 'object',
+          description: 'Global volumes',
+          additionalProperties: {
+            type: 'object',
+            required: ['name'],
+            properties: {
+              name: { type: 'string', pattern: VOLUME_GLOBAL_NAME_REGEX.source },
+            },
+          },
+        },
+        hooks: { $ref: '#/$defs/hooks' },
+        env_file: { $ref: '#/$defs/envFile' },
+        include: {
+          description: 'Files which are merged under this file, paths are relative to config file',
+          oneOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }],
+        },
+        templates: {
+          type: 'object',
+          description: 'Services which are only extended by other services, they are not deployed',
+          additionalProperties: { $ref: '#/$defs/template' },
+        },
+        depends_on: {
+          type: 'array',
+          description: 'Projects which are deployed before this project with "deploy --all"',
+          items: { type: 'string' },
+        },
+      },
+      $defs: {
+        service: this.getServiceSchema(deployData),
+        template: this.getTemplateSchema(deployData),
+        port: this.getPortSchema(),
+        hooks: {
+          type: 'object',
+          description: 'Local commands which are run around deploy',
+          properties: Object.fromEntries(
+            HOOK_NAMES.map((item) => [item, { $ref: '#/$defs/commands' }])
+          ),
+          additionalProperties: false,
+        },
+        commands: {
+          oneOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }],
+        },
+        envFile: {
+          description: 'Files with environment variables, paths are relative to config file',
+          oneOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }],
+        },
+      },
+    };
+  }
+
+  /**
+   * @private
+   * @param {DeployData | null} deployData
+   * @returns {JSONSchema}
+   */
+  getServiceSchema(deployData) {
+    const images = deployData
+      ? deployData.services.map((item) => item.type).filter(filterUnique)
+      : SERVICE_TYPES;
+    const sizes = deployData
+      ? deployData.sizes.map((item) => item.name)
+      : Object.keys(VOLUMES_GLOBAL_COUNT);
+
+    return {
+      type: 'object',
+      // Required fields can be set in the extended service
+      if: { not: { required: ['extends'] } },
+      then: { required: ['active', 'image', 'size'] },
+      properties: {
+        active: { type: 'boolean', description: 'Service is running in the cloud' },
+        image: { enum: images, description: 'Image of service' },
+        size: {
+          enum: sizes,
+          description: deployData
+            ? deployData.sizes
+                .map(({ name, memory, cpus }) => `${name}: ${memory.name}, ${cpus} CPU`)
+                .join('; ')
+            : 'Size of service',
+        },
+        version: { type: 'string', description: 'Version of image' },
+        build: {
+          type: 'object',
+          required: ['dockerfile'],
+          properties: { dockerfile: { type: 'string' } },
+          additionalProperties: false,
+        },
+        entrypoint: { type: 'array', items: { type: 'string' } },
+        restart: { enum: Object.keys(RESTART_VALUES) },
+        pwd: { type: 'string', description: 'Relative path to directory of service files' },
+        git: {
+          type: 'object',
+          required: ['url', 'branch'],
+          properties: {
+            url: { type: 'string' },
+            branch: { type: 'string' },
+            untracked: { enum: Object.keys(GIT_UNTRACKED_POLICY) },
+          },
+          additionalProperties: false,
+        },
+        exclude: { type: 'array', items: { type: 'string' } },
+        command: { type: 'string' },
+        ports: { type: 'array', items: { $ref: '#/$defs/port' } },
+        volumes: {
+          type: 'array',
+          description: 'Files in format "local_path:remote_path"',
+          items: { type: 'string' },
+        },
+        depends_on: { type: 'array', items: { type: 'string' } },
+        domains: { type: 'object', additionalProperties: { type: 'string' } },
+        environment: {
+          type: 'array',
+          description: 'Environment variables in format "NAME=value"',
+          items: { type: 'string' },
+        },
+        deploy: {
+          type: 'object',
+          properties: {
+            storage: { type: 'number' },
+            replicas: { type: 'integer', minimum: 1, maximum: REPLICAS_MAX },
+            update_config: {
+              type: 'object',
+              properties: {
+                parallelism: { type: 'integer', minimum: 1 },
+                delay: { type: 'string', pattern: SECONDS_REGEX.source },
+              },
+              additionalProperties: false,
+            },
+          },
+          additionalProperties: false,
+        },
+        hooks: { $ref: '#/$defs/hooks' },
+        env_file: { $ref: '#/$defs/envFile' },
+        extends: {
+          type: 'object',
+          description: 'Service or template which fields are inherited and overridden',
+          required: ['service'],
+          properties: {
+            file: {
+              type: 'string',
+              description: 'Path relative to config file, this file by default',
+            },
+            service: { type: 'string' },
+          },
+          additionalProperties: false,
+        },
+      },
+      // Versions depend on image
+      allOf: deployData
+        ? deployData.services.map(({ type, tags }) => ({
+            if: { properties: { image: { const: type } }, required: ['image'] },
+            then: { properties: { version: { enum: tags } } },
+          }))
+        : [],
+    };
+  }
+
+  /**
+   * Template is a part of service, so no field is required in it
+   * @private
+   * @param {DeployData | null} deployData
+   * @returns {JSONSchema}
+   */
+  getTemplateSchema(deployData) {
+    const schema = this.getServiceSchema(deployData);
+    delete schema.if;
+    delete schema.then;
+    return schema;
+  }
+
+  /**
+   * @private
+   * @returns {JSONSchema}
+   */
+  getPortSchema() {
+    return {
+      type: 'object',
+      required: ['port'],
+      properties: {
+        port: { type: 'integer', minimum: 1, maximum: PORT_MAX },
+        type: { enum: PORT_TYPES },
+        location: { type: 'string' },
+        timeout: { type: 'string' },
+        buffer_size: { type: 'string' },
+        proxy_path: { type: 'string' },
+        request_buffering: { enum: ALLOWED_ON_OFFS },
+        buffering: { enum: ALLOWED_ON_OFFS },
+        http_version: { enum: ALLOWED_HTTP_VERSIONS },
+        headers: { type: 'object', additionalProperties: { type: 'string' } },
+        static: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['location', 'path'],
+            properties: {
+              location: { type: 'string' },
+              path: { type: 'string' },
+              index: { type: 'string' },
+            },
+            additionalProperties: false,
+          },
+        },
+        ws: { type: 'boolean' },
+        client_max_body_size: { type: 'string' },
+      },
+      additionalProperties: false,
+    };
+  }
+}
@@ -0,0 +1,232 @@
+/******************************************************************************************
+ * Repository: Conhos cli
+ * File name: token.js
+ * Author: Sergey Kolmiller
+ * Email: <kolserdav@conhos.ru>
+ * License: MIT
+ * License text: See LICENSE file
+ * Copyright: kolserdav, All rights reserved (c)
+ * Create Date: Mon Oct 19 2026 12:00:00 GMT+0700 (Krasnoyarsk Standard Time)
+ ******************************************************************************************/
+import Console from 'console';
+import chalk from 'chalk';
+import WS from '../connectors/ws.js';
+import { PACKAGE_NAME, TOKEN_ENV_NAME } from '../utils/constants.js';
+import { console, parseMessageCli } from '../utils/lib.js';
+
+/**
+ * @typedef {import("../connectors/ws.js").Options} Options
+ * @typedef {import('../types/interfaces.js').WSMessageDataCli} WSMessageDataCli
+ * @typedef {import('../types/interfaces.js').DeployToken} DeployToken
+ */
+
+/**
+ * @template {keyof WSMessageDataCli} T
+ * @typedef {import('../types/interfaces.js').WSMessageCli<T>} WSMessageCli<T>
+ */
+
+const TOKEN_ACTIONS = ['create', 'list', 'revoke'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Long-lived deploy tokens which are scoped to project
+ */
+export default class Token extends WS {
+  /**
+   * @private
+   * @type {string}
+   */
+  action;
+
+  /**
+   * @private
+   * @type {string | undefined}
+   */
+  id;
+
+  /**
+   * @param {Options} options
+   * @param {string} action
+   * @param {string} [id]
+   */
+  constructor(options, action, id) {
+    super(options);
+    this.action = action;
+    this.id = id;
+  }
+
+  listener() {
+    if (!this.conn) {
+      return;
+    }
+    this.conn.on('message', async (d) => {
+      const rawMessage = /** @type {typeof parseMessageCli<any>} */ (parseMessageCli)(d.toString());
+      if (rawMessage === null) {
+        return;
+      }
+      const { type } = rawMessage;
+      /**
+       * @type {keyof WSMessageDataCli}
+       */
+      const _type = type;
+      switch (_type) {
+        case 'tokenCreateCli':
+          this.handleCreate(rawMessage);
+          break;
+        case 'tokenListCli':
+          this.handleList(rawMessage);
+          break;
+        case 'tokenRevokeCli':
+          this.handleRevoke(rawMessage);
+          break;
+        default:
+          // Config file is not required to manage tokens
+          await this.handleCommonMessages(rawMessage, true);
+      }
+    });
+  }
+
+  /**
+   * @public
+   * @type {WS['handler']}
+   */
+  async handler() {
+    if (TOKEN_ACTIONS.indexOf(this.action) === -1) {
+      console.error(`Action must be one of: ${TOKEN_ACTIONS.join(', ')}`, this.action);
+      process.exit(1);
+    }
+
+    switch (this.action) {
+      case 'create':
+        this.sendCreate();
+        break;
+      case 'list':
+        /** @type {typeof this.sendMessage<'tokenListServer'>} */ (this.sendMessage)({
+          token: this.token,
+          type: 'tokenListServer',
+          message: '',
+          packageName: PACKAGE_NAME,
+          data: {},
+          connId: this.connId,
+          status: 'info',
+          userId: this.userId,
+        });
+        break;
+      case 'revoke':
+        if (!this.id) {
+          console.error('Token id is required', `${PACKAGE_NAME} token revoke <id>`);
+          process.exit(1);
+        }
+        /** @type {typeof this.sendMessage<'tokenRevokeServer'>} */ (this.sendMessage)({
+          token: this.token,
+          type: 'tokenRevokeServer',
+          message: '',
+          packageName: PACKAGE_NAME,
+          data: {
+            id: this.id,
+          },
+          connId: this.connId,
+          status: 'info',
+          userId: this.userId,
+        });
+        break;
+      default:
+    }
+  }
+
+  /**
+   * @private
+   */
+  sendCreate() {
+    const { name, project, expires } = this.options;
+    if (!name) {
+      console.error('Token name is required', `${PACKAGE_NAME} token create --name <string>`);
+      process.exit(1);
+    }
+    /** @type {typeof this.sendMessage<'tokenCreateServer'>} */ (this.sendMessage)({
+      token: this.token,
+      type: 'tokenCreateServer',
+      message: '',
+      packageName: PACKAGE_NAME,
+      data: {
+        name,
+        project: project || null,
+        expires: expires ? Date.now() + expires * DAY_MS : null,
+      },
+      connId: this.connId,
+      status: 'info',
+      userId: this.userId,
+    });
+  }
+
+  /**
+   * @private
+   * @param {WSMessageCli<'tokenCreateCli'>} msg
+   */
+  handleCreate({ data: { token, info } }) {
+    if (this.options.json) {
+      Console.log(JSON.stringify({ ...info, token }, null, 2));
+      process.exit(0);
+    }
+    console.info('Token is created', this.getDescription(info));
+    Console.log(token);
+    console.warn(
+      'Token is shown only once, save it to secrets of CI',
+      `Set it to ${TOKEN_ENV_NAME} variable or pass the file with it to --token-file option`
+    );
+    process.exit(0);
+  }
+
+  /**
+   * @private
+   * @param {WSMessageCli<'tokenListCli'>} msg
+   */
+  handleList({ data: { tokens } }) {
+    if (this.options.json) {
+      Console.log(JSON.stringify(tokens, null, 2));
+      process.exit(0);
+    }
+    if (tokens.length === 0) {
+      console.info('Tokens are missing', `Run "${PACKAGE_NAME} token create" first`);
+      process.exit(0);
+    }
+    tokens.forEach((item) => {
+      Console.log(
+        [
+          chalk.bold(item.id),
+          this.getDescription(item),
+          `created: ${new Date(item.created).toLocaleString()}`,
+          `last used: ${item.lastUsed ? new Date(item.lastUsed).toLocaleString() : '-'}`,
+        ].join('  ')
+      );
+    });
+    process.exit(0);
+  }
+
+  /**
+   * @private
+   * @param {WSMessageCli<'tokenRevokeCli'>} msg
+   */
+  handleRevoke({ data: { id, revoked } }) {
+    if (!revoked) {
+      console.error('Token is not found', id);
+      process.exit(1);
+    }
+    console.info('Token is revoked', id);
+    process.exit(0);
+  }
+
+  /**
+   * @private
+   * @param {DeployToken} info
+   * @returns {string}
+   */
+  getDescription({ name, project, expires }) {
+    return [
+      name,
+      `project: ${project || 'all'}`,
+      `expires: ${expires ? new Date(expires).toLocaleString() : 'never'}`,
+    ].join('  ');
+  }
+}
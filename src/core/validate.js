@@ -0,0 +1,287 @@
+/******************************************************************************************
+ * Repository: Conhos cli
+ * File name: validate.js
+ * Author: Sergey Kolmiller
+ * Email: <kolserdav@conhos.ru>
+ * License: MIT
+ * License text: See LICENSE file
+ * Copyright: kolserdav, All rights reserved (c)
+ * Create Date: Mon Oct 19 2026 12:00:00 GMT+0700 (Krasnoyarsk Standard Time)
+ ******************************************************************************************/
+import Console from 'console';
+import chalk from 'chalk';
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { dirname, relative, resolve } from 'path';
+import { checkConfig } from 'conhos-vscode/dist/lib.js';
+import { PACKAGE_NAME, PACKAGE_VERSION } from '../utils/constants.js';
+import {
+  console,
+  getConfigFilePath,
+  getConfigOverlayFilePath,
+  readDeployData,
+} from '../utils/lib.js';
+import Check from '../utils/check.js';
+import Include from '../utils/include.js';
+import Yaml from '../utils/yaml.js';
+
+/**
+ * @typedef {import("../connectors/ws.js").Options} Options
+ * @typedef {import('conhos-vscode').ConfigFile} ConfigFile
+ * @typedef {import('conhos-vscode').CheckConfigResult} CheckConfigResult
+ * @typedef {import('../types/interfaces.js').Diagnostic} Diagnostic
+ */
+
+/**
+ * Exit codes of validate command
+ */
+const EXIT_CODE = {
+  ok: 0,
+  error: 1,
+  warning: 2,
+};
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const SARIF_RULE_ID = 'config';
+
+const check = new Check();
+const include = new Include();
+const yaml = new Yaml();
+
+/**
+ * Check config file without connection to the cloud
+ */
+export default class Validate {
+  /**
+   * @type {Options}
+   */
+  options;
+
+  /**
+   * @type {string}
+   */
+  configFile;
+
+  /**
+   * @param {Options} options
+   * @param {string | undefined} file
+   */
+  constructor(options, file) {
+    this.options = options;
+    this.configFile = getConfigFilePath(file || options.config);
+    this.handler();
+  }
+
+  /**
+   * @private
+   */
+  async handler() {
+    if (!existsSync(this.configFile)) {
+      console.error('Config file is not exists', this.configFile);
+      process.exit(EXIT_CODE.error);
+    }
+
+    const diagnostics = await this.getDiagnostics();
+    const report = this.getReport(diagnostics);
+    if (this.options.output) {
+      writeFileSync(resolve(process.cwd(), this.options.output), report);
+      console.info('Report is written to', this.options.output);
+    } else {
+      Console.log(report);
+    }
+
+    if (diagnostics.find((item) => item.severity === 'error')) {
+      process.exit(EXIT_CODE.error);
+    }
+    process.exit(diagnostics.length ? EXIT_CODE.warning : EXIT_CODE.ok);
+  }
+
+  /**
+   * @private
+   * @returns {Promise<Diagnostic[]>}
+   */
+  async getDiagnostics() {
+    const configText = readFileSync(this.configFile).toString();
+
+    const parseError = yaml.getParseError(configText);
+    if (parseError) {
+      return [
+        this.getDiagnostic({
+          msg: 'Failed to parse config',
+          data: parseError.message,
+          exit: true,
+          position: parseError.position,
+        }),
+      ];
+    }
+
+    let config = yaml.parse(configText);
+    if (!config) {
+      return [
+        this.getDiagnostic({
+          msg: 'Config file is empty',
+          data: '',
+          exit: true,
+          position: { lineStart: 0, lineEnd: 0, columnStart: 0, columnEnd: 0 },
+        }),
+      ];
+    }
+    const includeRes = include.resolve({ config, configText, configFile: this.configFile });
+    if (includeRes.error) {
+      return [this.getDiagnostic(includeRes.error, includeRes.error.file)];
+    }
+    config = includeRes.config;
+    let { origin } = includeRes;
+    if (this.options.env) {
+      const overlayFile = getConfigOverlayFilePath(this.configFile, this.options.env);
+      const overlayText = existsSync(overlayFile) ? readFileSync(overlayFile).toString() : '';
+      const overlay = overlayText ? yaml.parse(overlayText) : null;
+      if (!overlay) {
+        console.error(`Config file of environment "${this.options.env}" is wrong`, overlayFile);
+        process.exit(EXIT_CODE.error);
+      }
+      ({ config, origin } = include.overlay(
+        { config, origin },
+        { config: overlay, configText: overlayText, configFile: overlayFile }
+      ));
+    }
+    // Checks are run on the text of resolved config, their positions are mapped to source files
+    const resolvedText = yaml.stringify(config);
+
+    /**
+     * @type {CheckConfigResult[]}
+     */
+    let checkErr = [];
+    const deployData = readDeployData();
+    if (deployData) {
+      checkErr = await checkConfig({ config, configText: resolvedText }, { deployData });
+    } else {
+      // Notice is not a diagnostic, so a valid config passes in CI before the first deploy
+      console.warn(
+        'Deploy data is missing, only images and sizes of services are checked',
+        `Run any "${PACKAGE_NAME}" command with connection to the cloud once to save it`
+      );
+      checkErr = checkErr.concat(check.checkServicesStatic({ config, configText: resolvedText }));
+    }
+    checkErr = checkErr.concat(
+      check.checkVolumes({ config, configText: resolvedText, cwd: dirname(this.configFile) })
+    );
+    checkErr = checkErr.concat(check.checkHooks({ config, configText: resolvedText }));
+    checkErr = checkErr.concat(
+      check.checkEnvFiles({ config, configText: resolvedText, cwd: dirname(this.configFile) })
+    );
+
+    return checkErr.map((item) => {
+      const { file, position } = include.getLocationAt(origin, resolvedText, item.position);
+      return this.getDiagnostic({ ...item, position }, file);
+    });
+  }
+
+  /**
+   * Positions of checks are zero based, positions of diagnostics are one based
+   * @private
+   * @param {CheckConfigResult} param0
+   * @param {string} [file]
+   * @returns {Diagnostic}
+   */
+  getDiagnostic({ msg, data, exit, position }, file = this.configFile) {
+    return {
+      severity: exit ? 'error' : 'warning',
+      message: msg,
+      data: typeof data === 'string' ? data : JSON.stringify(data),
+      file: relative(process.cwd(), file),
+      line: position.lineStart + 1,
+      column: position.columnStart + 1,
+      endLine: position.lineEnd + 1,
+      endColumn: position.columnEnd + 1,
+    };
+  }
+
+  /**
+   * @private
+   * @param {Diagnostic[]} diagnostics
+   * @returns {string}
+   */
+  getReport(diagnostics) {
+    switch (this.options.format) {
+      case 'json':
+        return JSON.stringify(diagnostics, null, 2);
+      case 'sarif':
+        return JSON.stringify(this.getSarif(diagnostics), null, 2);
+      default:
+        return this.getHumanReport(diagnostics);
+    }
+  }
+
+  /**
+   * @private
+   * @param {Diagnostic[]} diagnostics
+   * @returns {string}
+   */
+  getHumanReport(diagnostics) {
+    if (diagnostics.length === 0) {
+      return `${chalk.green('✔')} ${relative(process.cwd(), this.configFile)} is valid`;
+    }
+    /**
+     * @type {string[]}
+     */
+    const res = [];
+    diagnostics.forEach(({ severity, message, data, file, line, column }) => {
+      const color = severity === 'error' ? chalk.red : chalk.yellow;
+      res.push(
+        `${chalk.bold(`${file}:${line}:${column}`)} ${color(severity)} ${message} ${chalk.gray(data)}`
+      );
+    });
+    const errors = diagnostics.filter((item) => item.severity === 'error').length;
+    res.push(`\n${errors} error(s), ${diagnostics.length - errors} warning(s)`);
+    return res.join('\n');
+  }
+
+  /**
+   * Static Analysis Results Interchange Format which is supported by CI and editors
+   * @private
+   * @param {Diagnostic[]} diagnostics
+   * @returns {Record<string, any>}
+   */
+  getSarif(diagnostics) {
+    return {
+      $schema: SARIF_SCHEMA,
+      version: '2.1.0',
+      runs: [
+        {
+          tool: {
+            driver: {
+              name: PACKAGE_NAME,
+              version: PACKAGE_VERSION,
+              rules: [
+                {
+                  id: SARIF_RULE_ID,
+                  shortDescription: { text: 'Configuration file check' },
+                },
+              ],
+            },
+          },
+          results: diagnostics.map(
+            ({ severity, message, data, file, line, column, endLine, endColumn }) => ({
+              ruleId: SARIF_RULE_ID,
+              level: severity,
+              message: { text: data ? `${message} ${data}` : message },
+              locations: [
+                {
+                  physicalLocation: {
+                    artifactLocation: { uri: file },
+                    region: {
+                      startLine: line,
+                      startColumn: column,
+                      endLine,
+                      endColumn,
+                    },
+                  },
+                },
+              ],
+            })
+          ),
+        },
+      ],
+    };
+  }
+}
@@ -11,15 +11,30 @@
 // @ts-check
 import { Command } from 'commander';
 import fs from 'fs';
-import { PACKAGE_VERSION, PACKAGE_NAME } from './utils/constants.js';
+import {
+  PACKAGE_VERSION,
+  PACKAGE_NAME,
+  PROFILE_ENV_NAME,
+  TOKEN_ENV_NAME,
+} from './utils/constants.js';
 import Login from './core/login.js';
 import Deploy from './core/deploy.js';
+import DeployAll from './core/deploy-all.js';
 import { getPackagePath, console } from './utils/lib.js';
 import Init from './core/init.js';
 import Logs from './core/logs.js';
 import IP from './core/ip.js';
 import Exec from './core/exec.js';
 import Project from './core/project.js';
+import Releases from './core/releases.js';
+import Rollback from './core/rollback.js';
+import Config from './core/config.js';
+import Validate from './core/validate.js';
+import Schema from './core/schema.js';
+import Export from './core/export.js';
+import Metadata from './core/metadata.js';
+import Profile from './core/profile.js';
+import Token from './core/token.js';
 
 process.on('SIGABRT', (sig) => {
   console.warn('Received abort signal', sig);
@@ -36,6 +51,12 @@ process.on('SIGTERM', (sig) => {
   //process.exit(1);
 });
 
+// Exit handlers remove temporary files only when process exits normally
+process.on('SIGINT', (sig) => {
+  console.warn('Received interrupt signal', sig);
+  process.exit(130);
+});
+
 const packageHomeDir = getPackagePath();
 if (!fs.existsSync(packageHomeDir)) {
   fs.mkdirSync(packageHomeDir);
@@ -56,6 +77,15 @@ program.configureOutput({
   },
 });
 
+/**
+ * Repeatable option, for example --env-file .env --env-file .env.local
+ * @param {string} value
+ * @param {string[]} previous
+ * @returns {string[]}
+ */
+const collect = (value, previous) => previous.concat(value);
+const envFileDescription = 'File with environment variables, it can be repeated';
+
 program
   .enablePositionalOptions()
   .usage('[options] <command> [options]')
@@ -73,6 +103,40 @@ program
     new Login({ ...options, isLogin: true });
   });
 
+program
+  .command('profile')
+  .description('Manage login profiles, every profile has own session token')
+  .option('--json', 'Print profiles as JSON, it used with list')
+  .argument('<action>', 'Action: list, use or remove')
+  .argument('[name]', 'Profile name, it used with use and remove')
+  .action(async (action, name, options) => {
+    new Profile(options, action, name);
+  });
+
+program
+  .command('token')
+  .description('Manage long-lived deploy tokens for CI')
+  .option('--name <string>', 'Token name, it is required with create')
+  .option('-p, --project <string>', 'Project which is allowed for token, all projects by default')
+  .option(
+    '--expires <days>',
+    'Days until token is expired, it never expires by default',
+    (value) => {
+      const num = parseInt(value, 10);
+      if (Number.isNaN(num) || num < 1) {
+        console.error('The value for --expires must be a positive number', value);
+        process.exit(1);
+      }
+      return num;
+    }
+  )
+  .option('--json', 'Print tokens as JSON')
+  .argument('<action>', 'Action: create, list or revoke')
+  .argument('[id]', 'Token id, it used with revoke')
+  .action(async (action, id, options) => {
+    new Token(options, action, id);
+  });
+
 program
   .command('deploy')
   .description('Upload files and run app in cloud')
@@ -82,8 +146,117 @@ program
   )
   .option('-c, --clear-cache', 'Clear cache before upload to upload all files')
   .option('--no-ssl', 'Do not create SSL certificate')
+  .option('--dry-run', 'Print deployment plan without uploading files')
+  .option('--json', 'Print deployment plan as JSON, it used with --dry-run')
+  .option('-w, --watch', 'Keep session open and upload changed files of services')
+  .option('--concurrency <number>', 'Number of files uploaded in parallel', (value) => {
+    const num = parseInt(value, 10);
+    if (Number.isNaN(num) || num < 1) {
+      console.error('The value for --concurrency must be a positive number', value);
+      process.exit(1);
+    }
+    return num;
+  })
+  .option('--exclude-service <service_name...>', 'Services which are not deployed')
+  .option('--env-file <path>', envFileDescription, collect, [])
+  .option('--all', 'Deploy all projects which config files are found in the directory tree')
+  .option(
+    '--filter <glob>',
+    'Deploy only projects which directory or name match the pattern, it implies --all and can be repeated',
+    collect,
+    []
+  )
+  .argument('[service_name...]', 'Names of services to deploy, all services by default')
+  .action(async (services, options) => {
+    if (options.all || options.filter.length) {
+      new DeployAll(options, services);
+      return;
+    }
+    new Deploy(options, services);
+  });
+
+program
+  .command('releases')
+  .description('List saved releases of project')
+  .option(
+    '-p, --project <string>',
+    'Project name. If conhos.yml file is not exists that it is required.'
+  )
+  .option('--json', 'Print releases as JSON')
+  .action(async (options) => {
+    new Releases(options);
+  });
+
+program
+  .command('rollback')
+  .description('Deploy config and files of a saved release again')
+  .option(
+    '--no-interractive',
+    'If you are asked to confirm the deletion of the service, the script will automatically answer "yes"'
+  )
+  .option('--no-ssl', 'Do not create SSL certificate')
+  .option('--env-file <path>', envFileDescription, collect, [])
+  .argument('<release>', 'Release id from the list of releases')
+  .action(async (arg, options) => {
+    new Rollback(options, arg);
+  });
+
+program
+  .command('config')
+  .description('Show project configuration')
+  .option('--resolved', 'Show configuration with substituted environment variables')
+  .option('--env-file <path>', envFileDescription, collect, [])
   .action(async (options) => {
-    new Deploy(options);
+    new Config(options);
+  });
+
+program
+  .command('validate')
+  .description(
+    'Check config file without connection to the cloud. Exit code is 1 on errors and 2 on warnings'
+  )
+  .option('--format <format>', 'Output format: human, json or sarif', (value) => {
+    if (['human', 'json', 'sarif'].indexOf(value) === -1) {
+      console.error('The value for --format must be one of: human, json, sarif', value);
+      process.exit(1);
+    }
+    return value;
+  })
+  .option('-o, --output <file>', 'Write report to file instead of output')
+  .argument('[file]', 'Path to config file')
+  .action(async (arg, options) => {
+    new Validate(options, arg);
+  });
+
+program
+  .command('schema')
+  .description('Print JSON Schema of config file for editors and YAML language servers')
+  .option('-o, --output <file>', 'Write schema to file instead of output')
+  .action(async (options) => {
+    new Schema(options);
+  });
+
+program
+  .command('export')
+  .description('Convert config file to docker compose file for local runs')
+  .option('-o, --output <file>', 'Write file instead of output')
+  .argument('<format>', 'Format of file: compose')
+  .action(async (arg, options) => {
+    new Export(options, arg);
+  });
+
+program
+  .command('metadata')
+  .description('Manage config of the last deploy which is kept for the directory of project')
+  .option('--json', 'Print config as JSON, it used with show')
+  .option(
+    '--no-interractive',
+    'If you are asked to confirm the change of metadata, the script will automatically answer "yes"'
+  )
+  .argument('<action>', 'Action: show, reset or relink')
+  .argument('[dir]', 'Old directory or id of project, it used with relink')
+  .action(async (action, dir, options) => {
+    new Metadata(options, action, dir);
   });
 
 program
@@ -170,8 +343,44 @@ program
   .usage('[options] <command> [options]')
   .description('Set up project configuration')
   .option('-y, --yes', 'default for all')
+  .option('--from-compose <file>', 'Import services of docker compose file')
   .action(async (options) => {
     new Init(options);
   });
 
+// Global options are added to every command to be set after the command name
+program.commands.forEach((command) => {
+  command.option(
+    '--env <name>',
+    `Environment name, config file "${PACKAGE_NAME}.<name>.yml" is merged over the base one`
+  );
+  // Short flag is skipped where it is taken, for example by "logs --follow"
+  const configShort = command.options.find((item) => item.short === '-f') ? '' : '-f, ';
+  command.option(
+    `${configShort}--config <path>`,
+    `Path to config file, "${PACKAGE_NAME}.yml" of working directory by default`
+  );
+  command.option('-C, --cwd <dir>', 'Working directory, it is changed before the command');
+  command.option(
+    '--token-file <path>',
+    `File with deploy token which is used instead of session, ${TOKEN_ENV_NAME} variable is used too`
+  );
+  command.option(
+    '--profile <name>',
+    `Login profile, it is taken from ${PROFILE_ENV_NAME} variable or from "${PACKAGE_NAME} profile use" by default`
+  );
+});
+
+program.hook('preAction', (_, command) => {
+  const { cwd } = command.opts();
+  if (!cwd) {
+    return;
+  }
+  if (!fs.existsSync(cwd) || !fs.statSync(cwd).isDirectory()) {
+    console.error('Working directory is not exists', cwd);
+    process.exit(1);
+  }
+  process.chdir(cwd);
+});
+
 program.parse();
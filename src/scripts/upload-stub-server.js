@@ -0,0 +1,156 @@
+/******************************************************************************************
+ * Repository: Conhos cli
+ * File name: upload-stub-server.js
+ * Author: Sergey Kolmiller
+ * Email: <kolserdav@conhos.ru>
+ * License: MIT
+ * License text: See LICENSE file
+ * Copyright: kolserdav, All rights reserved (c)
+ * Create Date: Mon Oct 19 2026 12:00:00 GMT+0700 (Krasnoyarsk Standard Time)
+ ******************************************************************************************/
+/**
+ * Local stub of the upload endpoint for checking resumable uploads without the cloud.
+ * PORT - listening port, UPLOAD_DIR - where assembled files are written,
+ * FAIL_RATE - part of requests (from 0 to 1) which fail to emulate a flaky connection
+ */
+import { createServer } from 'http';
+import { createWriteStream, existsSync, mkdirSync, writeFileSync } from 'fs';
+import { basename, resolve } from 'path';
+import { UPLOADED_FILE_MESSAGE } from 'conhos-vscode/dist/constants.js';
+import {
+  HEADER_UPLOAD_CHECKSUM,
+  HEADER_UPLOAD_PART,
+  HEADER_UPLOAD_PART_CHECKSUM,
+  HEADER_UPLOAD_PARTS,
+} from '../utils/constants.js';
+import Crypto from '../utils/crypto.js';
+import { console } from '../utils/lib.js';
+
+/**
+ * @typedef {import('http').IncomingMessage} IncomingMessage
+ */
+
+const PORT = parseInt(process.env.PORT || '3011', 10);
+const UPLOAD_DIR = resolve(process.cwd(), process.env.UPLOAD_DIR || 'tmp/uploads');
+const FAIL_RATE = parseFloat(process.env.FAIL_RATE || '0');
+
+const crypto = new Crypto();
+
+/**
+ * @type {Record<string, Record<number, Buffer>>}
+ */
+const uploads = {};
+
+/**
+ * @param {IncomingMessage} req
+ * @returns {Promise<Buffer>}
+ */
+async function readBody(req) {
+  return new Promise((_resolve, reject) => {
+    /**
+     * @type {Buffer[]}
+     */
+    const chunks = [];
+    req.on('data', (chunk) => {
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      _resolve(Buffer.concat(chunks));
+    });
+    req.on('error', (err) => {
+      reject(err);
+    });
+  });
+}
+
+/**
+ * @param {IncomingMessage} req
+ * @param {string} name
+ * @returns {string}
+ */
+function getHeader(req, name) {
+  const value = req.headers[name];
+  return Array.isArray(value) ? value[0] : value || '';
+}
+
+if (!existsSync(UPLOAD_DIR)) {
+  mkdirSync(UPLOAD_DIR, { recursive: true });
+}
+
+const server = createServer(async (req, res) => {
+  const url = req.url || '/';
+  const total = parseInt(getHeader(req, HEADER_UPLOAD_PARTS), 10);
+  const checksum = getHeader(req, HEADER_UPLOAD_CHECKSUM);
+  const filePath = resolve(UPLOAD_DIR, basename(url));
+
+  if (Number.isNaN(total)) {
+    if (req.method !== 'POST') {
+      res.writeHead(405).end();
+      return;
+    }
+    console.info('Legacy upload', url);
+    req.pipe(createWriteStream(filePath)).on('finish', () => {
+      res.end(UPLOADED_FILE_MESSAGE);
+    });
+    return;
+  }
+
+  if (Math.random() < FAIL_RATE) {
+    console.warn('Emulate failed request', `${req.method} ${url}`);
+    req.socket.destroy();
+    return;
+  }
+
+  const key = `${url}:${checksum}`;
+  uploads[key] = uploads[key] || {};
+  const parts = uploads[key];
+
+  switch (req.method) {
+    case 'GET':
+      res.setHeader('content-type', 'application/json');
+      res.end(JSON.stringify({ parts: Object.keys(parts).map((item) => parseInt(item, 10)) }));
+      break;
+    case 'PUT': {
+      const num = parseInt(getHeader(req, HEADER_UPLOAD_PART), 10);
+      const body = await readBody(req);
+      if (crypto.createBufferHash(body) !== getHeader(req, HEADER_UPLOAD_PART_CHECKSUM)) {
+        console.warn('Wrong checksum of part', `${url}: ${num}`);
+        res.writeHead(400).end('Wrong checksum');
+        return;
+      }
+      console.info('Part received', `${url}: ${num}/${total}`);
+      parts[num] = body;
+      res.end();
+      break;
+    }
+    case 'POST': {
+      await readBody(req);
+      const missing = [];
+      for (let num = 1; num <= total; num++) {
+        if (!parts[num]) {
+          missing.push(num);
+        }
+      }
+      if (missing.length) {
+        res.writeHead(400).end(`Missing parts: ${missing.join(', ')}`);
+        return;
+      }
+      const file = Buffer.concat(Object.keys(parts).map((item) => parts[parseInt(item, 10)]));
+      if (crypto.createBufferHash(file) !== checksum) {
+        res.writeHead(400).end('Wrong checksum of file');
+        return;
+      }
+      writeFileSync(filePath, file);
+      delete uploads[key];
+      console.info('File uploaded', filePath);
+      res.end(UPLOADED_FILE_MESSAGE);
+      break;
+    }
+    default:
+      res.writeHead(405).end();
+  }
+});
+
+server.listen(PORT, () => {
+  console.info('Upload stub server listening on port', PORT);
+});
@@ -6,6 +6,11 @@ export const ENV_VARIABLE_REGEX = /\$\{[a-zA-Z0-9_]+\}/g;
 
 export const ENV_VARIABLES_CLEAN_REGEX = /[\$\{\}]+/g;
 
+/**
+ * Shell style expressions: $$, ${NAME}, ${NAME:-default} and ${NAME:?error message}
+ */
+export const ENV_VARIABLE_EXPRESSION_REGEX = /\$\$|\$\{([a-zA-Z0-9_]+)(?:(:-|:\?)([^}]*))?\}/g;
+
 /**
  * @param {string} name
  */
@@ -23,6 +28,75 @@ export function getEnvVariableRegex(name) {
  * @typedef {import("conhos-vscode").Status} Status
  * @typedef {import("conhos-vscode").ServiceTypeCommon} ServiceTypeCommon
  * @typedef {import("cache-changed").CacheItem} CacheItem
+ * @typedef {CacheItem & { hash?: string }} CacheItemHashed
+ */
+
+/**
+ * @typedef {{
+ *  name: string;
+ *  message: string;
+ *  path: string[];
+ * }} EnvVariableMissing
+ * @typedef {{
+ *  value: string;
+ *  used: Record<string, string>;
+ *  unset: string[];
+ *  missing: Omit<EnvVariableMissing, 'path'>[];
+ * }} EnvInterpolation
+ * @typedef {string | string[]} EnvFile
+ * @typedef {'human' | 'json' | 'sarif'} DiagnosticsFormat
+ * @typedef {{
+ *  severity: 'error' | 'warning';
+ *  message: string;
+ *  data: string;
+ *  file: string;
+ *  line: number;
+ *  column: number;
+ *  endLine: number;
+ *  endColumn: number;
+ * }} Diagnostic
+ * @typedef {import('conhos-vscode').CheckConfigResult & { file: string }} IncludeError
+ */
+
+/**
+ * Field of file where the value of resolved config is set, children are origins of nested values
+ * @typedef {{
+ *  file: string;
+ *  configText: string;
+ *  path: (string | number)[];
+ *  children: Record<string, ConfigOrigin>;
+ * }} ConfigOrigin
+ */
+
+/**
+ * Local commands which are run around deploy, they are set for project or for service
+ * @typedef {'pre_deploy' | 'post_deploy' | 'pre_upload'} HookName
+ * @typedef {Partial<Record<HookName, string | string[]>>} Hooks
+ */
+
+/**
+ * @typedef {{
+ *  id: string;
+ *  timestamp: number;
+ *  version: string;
+ *  commit: string | null;
+ *  manifestHash: string;
+ *  hashes?: Record<string, string>;
+ *  services: string[];
+ *  config: ConfigFile;
+ *  configText: string;
+ *  volumes: Volumes;
+ * }} ReleaseData
+ */
+
+/**
+ * Configs of the last deploys by ids of projects, old entries are keyed by directories
+ * @typedef {{
+ *  projects: Record<string, ConfigFile>
+ * }} Metadata
+ * @typedef {{
+ *  id: string;
+ * }} ProjectFile
  */
 
 /**
@@ -42,6 +116,18 @@ export function getEnvVariableRegex(name) {
  * }} ExecMessage
  */
 
+/**
+ * Long-lived token for deploys without login, for example from CI
+ * @typedef {{
+ *  id: string;
+ *  name: string;
+ *  project: string | null;
+ *  created: number;
+ *  expires: number | null;
+ *  lastUsed: number | null;
+ * }} DeployToken
+ */
+
 /**
  * @typedef {object} WSMessageDataCli
  * @property {any} any
@@ -84,7 +170,7 @@ export function getEnvVariableRegex(name) {
  *   exclude: string[] | undefined;
  *   pwd: string;
  *   service: string;
- *   cache: CacheItem[];
+ *   cache: CacheItemHashed[];
  *   active: boolean;
  *   git?: Git;
  * }} prepareDeployCli
@@ -114,6 +200,7 @@ export function getEnvVariableRegex(name) {
  *   cwd: string;
  *   last: boolean;
  *   pwd: string;
+ *   cache: CacheItemHashed[];
  * }} deployDeleteFilesServer
  * @property {{
  *   service: string;
@@ -188,6 +275,35 @@ export function getEnvVariableRegex(name) {
  * @property {{
  *  msg: string
  * }} deployProgressCli
+ * @property {{
+ *   project: string;
+ *   service: string;
+ * }} serviceBackupServer
+ * @property {{
+ *   service: string;
+ *   url: string | null;
+ *   error?: string;
+ * }} serviceBackupCli
+ * @property {{
+ *   name: string;
+ *   project: string | null;
+ *   expires: number | null;
+ * }} tokenCreateServer
+ * @property {{
+ *   token: string;
+ *   info: DeployToken;
+ * }} tokenCreateCli
+ * @property {{}} tokenListServer
+ * @property {{
+ *   tokens: DeployToken[];
+ * }} tokenListCli
+ * @property {{
+ *   id: string;
+ * }} tokenRevokeServer
+ * @property {{
+ *   id: string;
+ *   revoked: boolean;
+ * }} tokenRevokeCli
  */
 
 /**
@@ -0,0 +1,312 @@
+/******************************************************************************************
+ * Repository: Conhos cli
+ * File name: check.js
+ * Author: Sergey Kolmiller
+ * Email: <kolserdav@conhos.ru>
+ * License: MIT
+ * License text: See LICENSE file
+ * Copyright: kolserdav, All rights reserved (c)
+ * Create Date: Mon Oct 19 2026 12:00:00 GMT+0700 (Krasnoyarsk Standard Time)
+ ******************************************************************************************/
+import { existsSync, statSync } from 'fs';
+import { resolve } from 'path';
+import { getPosition } from 'conhos-vscode/dist/lib.js';
+import {
+  SERVICE_TYPES,
+  VOLUME_LOCAL_POSTFIX_REGEX,
+  VOLUME_LOCAL_REGEX,
+  VOLUME_UPLOAD_MAX_SIZE,
+  VOLUMES_GLOBAL_COUNT,
+} from 'conhos-vscode/dist/constants.js';
+import { HOOK_NAMES } from './constants.js';
+import { as } from './lib.js';
+
+/**
+ * @typedef {import('conhos-vscode').ConfigFile} ConfigFile
+ * @typedef {import('conhos-vscode').CheckConfigResult} CheckConfigResult
+ * @typedef {import('../types/interfaces.js').Hooks} HooksConfig
+ * @typedef {import('../types/interfaces.js').HookName} HookName
+ * @typedef {import('../types/interfaces.js').EnvFile} EnvFileConfig
+ */
+
+/**
+ * Checks of config which are made locally in addition to checkConfig of conhos-vscode
+ */
+export default class Check {
+  /**
+   * @public
+   * @param {{config: ConfigFile; configText: string; cwd: string}} param0
+   * @returns {CheckConfigResult[]}
+   */
+  checkEnvFiles({ config, configText, cwd }) {
+    /**
+     * @type {CheckConfigResult[]}
+     */
+    const res = [];
+    const { services } = config;
+
+    /**
+     * @param {EnvFileConfig} _envFile
+     * @param {string | null} service
+     */
+    const check = (_envFile, service) => {
+      const position = getPosition(
+        /** @type {typeof as<Parameters<typeof getPosition>[0]>} */ (as)({
+          config,
+          configText,
+          field: service ? 'services' : 'env_file',
+          service: service ? { name: service, property: 'env_file', value: null } : undefined,
+        })
+      );
+      const owner = service ? `Service "${service}"` : 'Project';
+      const files = Array.isArray(_envFile) ? _envFile : [_envFile];
+      if (!files.every((item) => typeof item === 'string')) {
+        res.push({
+          msg: `${owner} has wrong env_file`,
+          data: 'Env file must be a path or a list of paths',
+          exit: true,
+          position,
+        });
+        return;
+      }
+      files.forEach((item) => {
+        if (!existsSync(resolve(cwd, item))) {
+          res.push({
+            msg: `${owner} has env_file which is not exists`,
+            data: item,
+            exit: true,
+            position,
+          });
+        }
+      });
+    };
+
+    const projectEnvFile = /** @type {typeof as<{ env_file?: EnvFileConfig }>} */ (as)(
+      config
+    ).env_file;
+    if (projectEnvFile) {
+      check(projectEnvFile, null);
+    }
+    if (services) {
+      Object.keys(services).forEach((item) => {
+        const serviceEnvFile = /** @type {typeof as<{ env_file?: EnvFileConfig }>} */ (as)(
+          services[item]
+        ).env_file;
+        if (serviceEnvFile) {
+          check(serviceEnvFile, item);
+        }
+      });
+    }
+    return res;
+  }
+
+  /**
+   * @public
+   * @param {{config: ConfigFile; configText: string}} param0
+   * @returns {CheckConfigResult[]}
+   */
+  checkHooks({ config, configText }) {
+    /**
+     * @type {CheckConfigResult[]}
+     */
+    const res = [];
+    const { services } = config;
+
+    /**
+     * @param {HooksConfig} _hooks
+     * @param {string | null} service
+     */
+    const check = (_hooks, service) => {
+      const position = getPosition(
+        /** @type {typeof as<Parameters<typeof getPosition>[0]>} */ (as)({
+          config,
+          configText,
+          field: service ? 'services' : 'hooks',
+          service: service ? { name: service, property: 'hooks', value: null } : undefined,
+        })
+      );
+      const owner = service ? `Service "${service}"` : 'Project';
+      if (typeof _hooks !== 'object' || Array.isArray(_hooks)) {
+        res.push({
+          msg: `${owner} has wrong hooks`,
+          data: `Hooks must be an object with keys: ${HOOK_NAMES.join(', ')}`,
+          exit: true,
+          position,
+        });
+        return;
+      }
+      Object.keys(_hooks).forEach((item) => {
+        const value = _hooks[/** @type {typeof as<HookName>} */ (as)(item)];
+        if (HOOK_NAMES.indexOf(/** @type {typeof as<HookName>} */ (as)(item)) === -1) {
+          res.push({
+            msg: `${owner} has unknown hook "${item}"`,
+            data: `Allowed hooks: ${HOOK_NAMES.join(', ')}`,
+            exit: false,
+            position,
+          });
+        } else if (
+          typeof value !== 'string' &&
+          !(Array.isArray(value) && value.every((_item) => typeof _item === 'string'))
+        ) {
+          res.push({
+            msg: `${owner} has wrong hook "${item}"`,
+            data: 'Hook must be a command or a list of commands',
+            exit: true,
+            position,
+          });
+        }
+      });
+    };
+
+    const projectHooks = /** @type {typeof as<{ hooks?: HooksConfig }>} */ (as)(config).hooks;
+    if (projectHooks) {
+      check(projectHooks, null);
+    }
+    if (services) {
+      Object.keys(services).forEach((item) => {
+        const serviceHooks = /** @type {typeof as<{ hooks?: HooksConfig }>} */ (as)(
+          services[item]
+        ).hooks;
+        if (serviceHooks) {
+          check(serviceHooks, item);
+        }
+      });
+    }
+    return res;
+  }
+
+  /**
+   * Images and sizes of services are checked by the lists of this version,
+   * it used instead of checkConfig when deploy data is missing
+   * @public
+   * @param {{config: ConfigFile; configText: string}} param0
+   * @returns {CheckConfigResult[]}
+   */
+  checkServicesStatic({ config, configText }) {
+    /**
+     * @type {CheckConfigResult[]}
+     */
+    const res = [];
+    const { services } = config;
+    if (!services) {
+      return res;
+    }
+    const sizes = Object.keys(VOLUMES_GLOBAL_COUNT);
+    Object.keys(services).forEach((item) => {
+      const { image, size } = services[item];
+      /**
+       * @param {'image' | 'size'} property
+       */
+      const getServicePosition = (property) =>
+        getPosition(
+          /** @type {typeof as<Parameters<typeof getPosition>[0]>} */ (as)({
+            config,
+            configText,
+            field: 'services',
+            service: { name: item, property, value: null },
+          })
+        );
+      if (SERVICE_TYPES.indexOf(image) === -1) {
+        res.push({
+          msg: `Service "${item}" has unknown image "${image}"`,
+          data: `Allowed images: ${SERVICE_TYPES.join(', ')}`,
+          exit: true,
+          position: getServicePosition('image'),
+        });
+      }
+      if (sizes.indexOf(size) === -1) {
+        res.push({
+          msg: `Service "${item}" has unknown size "${size}"`,
+          data: `Allowed sizes: ${sizes.join(', ')}`,
+          exit: true,
+          position: getServicePosition('size'),
+        });
+      }
+    });
+    return res;
+  }
+
+  /**
+   * @public
+   * @param {{config: ConfigFile; configText: string; cwd: string}} param0
+   * @returns {CheckConfigResult[]}
+   */
+  checkVolumes({ config, configText, cwd }) {
+    /**
+     * @type {CheckConfigResult[]}
+     */
+    const res = [];
+    const { services } = config;
+    if (!services) {
+      return res;
+    }
+    Object.keys(services).forEach((item) => {
+      const { volumes, active } = services[item];
+      if (!active || !volumes) {
+        return;
+      }
+      volumes.forEach((_item) => {
+        const localM = _item.match(VOLUME_LOCAL_REGEX);
+        if (!localM) {
+          return;
+        }
+        const localPath = localM[0].replace(VOLUME_LOCAL_POSTFIX_REGEX, '');
+        if (!existsSync(resolve(cwd, localPath))) {
+          res.push({
+            msg: `Service "${item}" has wrong volume "${_item}". Local path is not exists:`,
+            data: localPath,
+            exit: true,
+            position: getPosition({
+              config,
+              configText,
+              field: 'services',
+              service: {
+                name: item,
+                property: 'volumes',
+                value: _item,
+              },
+            }),
+          });
+        } else {
+          const stats = statSync(resolve(cwd, localPath));
+          if (stats.isDirectory()) {
+            res.push({
+              msg: `Service "${item}" has wrong volume "${_item}".`,
+              data: "Directory can't be a volume, only files",
+              exit: true,
+              position: getPosition({
+                config,
+                configText,
+                field: 'services',
+                service: {
+                  name: item,
+                  property: 'volumes',
+                  value: _item,
+                },
+              }),
+            });
+          }
+          if (stats.size >= VOLUME_UPLOAD_MAX_SIZE) {
+            res.push({
+              msg: `Volume file '${localPath}' of service "${item}" is too big.`,
+              data: `Maximum size of volume file is: ${VOLUME_UPLOAD_MAX_SIZE / 1000}kb`,
+              exit: true,
+              position: getPosition({
+                config,
+                configText,
+                field: 'services',
+                service: {
+                  name: item,
+                  property: 'volumes',
+                  value: localPath,
+                },
+              }),
+            });
+          }
+        }
+      });
+    });
+
+    return res;
+  }
+}
@@ -0,0 +1,567 @@
+/******************************************************************************************
+ * Repository: Conhos cli
+ * File name: compose.js
+ * Author: Sergey Kolmiller
+ * Email: <kolserdav@conhos.ru>
+ * License: MIT
+ * License text: See LICENSE file
+ * Copyright: kolserdav, All rights reserved (c)
+ * Create Date: Mon Oct 19 2026 12:00:00 GMT+0700 (Krasnoyarsk Standard Time)
+ ******************************************************************************************/
+import { existsSync, statSync } from 'fs';
+import { relative, resolve } from 'path';
+import { isCustomService } from 'conhos-vscode/dist/lib.js';
+import {
+  PORT_MAX,
+  RESTART_VALUES,
+  SERVICE_NAME_LENGTH_MAX,
+  VOLUME_LOCAL_POSTFIX_REGEX,
+  VOLUME_LOCAL_REGEX,
+} from 'conhos-vscode/dist/constants.js';
+import { EXCLUDE_DEFAULT, SIZE_INDEX_DEFAULT } from './constants.js';
+import { as } from './lib.js';
+
+/**
+ * @typedef {import('conhos-vscode').ConfigFile} ConfigFile
+ * @typedef {import('conhos-vscode').DeployData} DeployData
+ * @typedef {import('conhos-vscode').ServiceType} ServiceType
+ * @typedef {import('conhos-vscode').ServiceSize} ServiceSize
+ * @typedef {import('conhos-vscode').Restart} Restart
+ * @typedef {ConfigFile['services'][0]} ConfigService
+ * @typedef {Record<string, any>} ComposeService
+ * @typedef {{
+ *  name?: string;
+ *  services?: Record<string, ComposeService>;
+ *  [key: string]: any;
+ * }} ComposeFile
+ * @typedef {{
+ *  service: string | null;
+ *  msg: string;
+ * }} ComposeWarning
+ */
+
+/**
+ * Keys of compose service which are mapped to config
+ */
+const SERVICE_KEYS = [
+  'image',
+  'build',
+  'ports',
+  'environment',
+  'env_file',
+  'depends_on',
+  'command',
+  'entrypoint',
+  'deploy',
+  'restart',
+  'volumes',
+  'container_name',
+];
+
+/**
+ * Docker Hub images of services which differ from types of services
+ * @type {Partial<Record<ServiceType, string>>}
+ */
+const IMAGE_ALIASES = {
+  mongo_express: 'mongo-express',
+  pgadmin: 'dpage/pgadmin4',
+};
+
+/**
+ * Directory of service files in containers of exported compose file
+ */
+const WORKING_DIR = '/app';
+
+/**
+ * Restart policies of compose which are missing in config
+ * @type {Record<string, Restart>}
+ */
+const RESTART_ALIASES = {
+  'unless-stopped': 'always',
+};
+
+export default class Compose {
+  /**
+   * Map services of docker compose file to config file
+   * @public
+   * @param {{
+   *  compose: ComposeFile;
+   *  deployData: DeployData;
+   *  name: string;
+   *  cwd: string;
+   * }} param0
+   * @returns {{ config: ConfigFile; warnings: ComposeWarning[] }}
+   */
+  toConfig({ compose, deployData, name, cwd }) {
+    /**
+     * @type {ComposeWarning[]}
+     */
+    const warnings = [];
+    /**
+     * @type {ConfigFile}
+     */
+    const config = { name: compose.name || name, services: {} };
+
+    Object.keys(compose).forEach((key) => {
+      if (key !== 'name' && key !== 'services' && key !== 'version') {
+        warnings.push({ service: null, msg: `Top level "${key}" is not supported and skipped` });
+      }
+    });
+
+    const services = compose.services || {};
+    Object.keys(services).forEach((item) => {
+      /**
+       * @param {string} msg
+       */
+      const warn = (msg) => {
+        warnings.push({ service: item, msg });
+      };
+      const service = this.getService({
+        service: services[item] || {},
+        deployData,
+        cwd,
+        warn,
+      });
+      if (!service) {
+        return;
+      }
+      if (item.length > SERVICE_NAME_LENGTH_MAX) {
+        warn(`Name is longer than ${SERVICE_NAME_LENGTH_MAX} symbols, rename it before deploy`);
+      }
+      config.services[item] = service;
+    });
+
+    return { config, warnings };
+  }
+
+  /**
+   * Map services of config file to docker compose file for local runs
+   * @public
+   * @param {{
+   *  config: ConfigFile;
+   *  deployData: DeployData | null;
+   *  configDir: string;
+   *  outputDir: string;
+   * }} param0
+   * @returns {{ compose: ComposeFile; warnings: ComposeWarning[] }}
+   */
+  fromConfig({ config, deployData, configDir, outputDir }) {
+    /**
+     * @type {ComposeWarning[]}
+     */
+    const warnings = [];
+    /**
+     * @type {Record<string, ComposeService>}
+     */
+    const services = {};
+
+    /**
+     * Paths of config are relative to config file, paths of compose file to output file
+     * @param {string} path
+     */
+    const getPath = (path) => {
+      const res = relative(outputDir, resolve(configDir, path)) || '.';
+      return /^[./]/.test(res) ? res : `./${res}`;
+    };
+
+    if (config.volumes) {
+      warnings.push({ service: null, msg: 'Global volumes are not supported and skipped' });
+    }
+    if (/** @type {typeof as<{ env_file?: string | string[] }>} */ (as)(config).env_file) {
+      warnings.push({
+        service: null,
+        msg: 'Top level "env_file" is used for variables of config only, pass it with "docker compose --env-file"',
+      });
+    }
+
+    Object.keys(config.services).forEach((item) => {
+      /**
+       * @param {string} msg
+       */
+      const warn = (msg) => {
+        warnings.push({ service: item, msg });
+      };
+      const service = config.services[item];
+      if (!service.active) {
+        warn('Service is not active and skipped');
+        return;
+      }
+      services[item] = this.getComposeService({ service, deployData, getPath, warn });
+    });
+
+    // The cloud sets hosts of dependencies to variables <SERVICE>_HOST
+    Object.keys(services).forEach((item) => {
+      const dependsOn = (config.services[item].depends_on || []).filter((_item) => {
+        if (services[_item]) {
+          return true;
+        }
+        warnings.push({ service: item, msg: `Dependency "${_item}" is not exported and skipped` });
+        return false;
+      });
+      if (!dependsOn.length) {
+        return;
+      }
+      const service = services[item];
+      service.depends_on = dependsOn;
+      /**
+       * @type {string[]}
+       */
+      const environment = service.environment || [];
+      dependsOn.forEach((_item) => {
+        const name = `${_item.toUpperCase()}_HOST`;
+        if (!environment.find((variable) => variable.split('=')[0] === name)) {
+          environment.push(`${name}=${_item}`);
+        }
+      });
+      service.environment = environment;
+    });
+
+    return { compose: { name: config.name, services }, warnings };
+  }
+
+  /**
+   * @private
+   * @param {{
+   *  service: ComposeService;
+   *  deployData: DeployData;
+   *  cwd: string;
+   *  warn: (msg: string) => void;
+   * }} param0
+   * @returns {ConfigService | null}
+   */
+  getService({ service, deployData, cwd, warn }) {
+    const { image, build } = service;
+    if (!image && !build) {
+      warn('Service without "image" and "build" is skipped');
+      return null;
+    }
+
+    Object.keys(service).forEach((key) => {
+      if (SERVICE_KEYS.indexOf(key) === -1) {
+        warn(`"${key}" is not supported and skipped`);
+      }
+    });
+
+    const { sizes } = deployData;
+    /**
+     * @type {ConfigService}
+     */
+    const res = {
+      image: 'custom',
+      size: /** @type {typeof as<ServiceSize>} */ (as)(sizes[SIZE_INDEX_DEFAULT].name),
+      active: true,
+    };
+
+    if (build) {
+      const context = typeof build === 'string' ? build : build.context || '.';
+      res.pwd = context;
+      res.build = { dockerfile: (typeof build === 'object' && build.dockerfile) || 'Dockerfile' };
+      if (typeof build === 'object' && build.args) {
+        warn('"build.args" is not supported and skipped');
+      }
+    } else {
+      const { type, version } = this.getImage(image, deployData, warn);
+      res.image = type;
+      res.version = version;
+    }
+
+    const customService = isCustomService(res.image);
+    if (customService) {
+      res.pwd = res.pwd || './';
+      res.exclude = EXCLUDE_DEFAULT[customService];
+    }
+
+    const ports = this.getPorts(service.ports || [], warn);
+    if (ports.length) {
+      if (customService) {
+        res.ports = ports;
+      } else {
+        warn('"ports" of common services are not published and skipped');
+      }
+    }
+
+    const environment = this.getEnvironment(service.environment);
+    if (environment.length) {
+      res.environment = environment;
+    }
+
+    if (service.env_file) {
+      const envFile = Array.isArray(service.env_file) ? service.env_file : [service.env_file];
+      /** @type {typeof as<{ env_file?: string[] }>} */ (as)(res).env_file = envFile.map(
+        (/** @type {string | { path: string }} */ item) => {
+          if (typeof item === 'string') {
+            return item;
+          }
+          return item.path;
+        }
+      );
+    }
+
+    if (service.depends_on) {
+      res.depends_on = Array.isArray(service.depends_on)
+        ? service.depends_on
+        : Object.keys(service.depends_on);
+    }
+
+    if (service.command) {
+      res.command = this.getCommand(service.command);
+    }
+
+    if (service.entrypoint) {
+      res.entrypoint = Array.isArray(service.entrypoint)
+        ? service.entrypoint
+        : [service.entrypoint];
+    }
+
+    if (service.restart) {
+      const restart = RESTART_ALIASES[service.restart] || service.restart;
+      if (Object.keys(RESTART_VALUES).indexOf(restart) === -1) {
+        warn(`"restart: ${service.restart}" is not supported and skipped`);
+      } else {
+        if (restart !== service.restart) {
+          warn(`"restart: ${service.restart}" is replaced with "${restart}"`);
+        }
+        res.restart = restart;
+      }
+    }
+
+    if (service.deploy) {
+      const { replicas, ...deploy } = service.deploy;
+      if (replicas !== undefined) {
+        res.deploy = { replicas };
+      }
+      Object.keys(deploy).forEach((key) => {
+        warn(`"deploy.${key}" is not supported and skipped`);
+      });
+    }
+
+    const volumes = this.getVolumes(service.volumes || [], cwd, warn);
+    if (volumes.length) {
+      res.volumes = volumes;
+    }
+
+    if (service.container_name) {
+      warn('"container_name" is skipped, names of containers are set by the cloud');
+    }
+
+    return res;
+  }
+
+  /**
+   * @private
+   * @param {{
+   *  service: ConfigService;
+   *  deployData: DeployData | null;
+   *  getPath: (path: string) => string;
+   *  warn: (msg: string) => void;
+   * }} param0
+   * @returns {ComposeService}
+   */
+  getComposeService({ service, deployData, getPath, warn }) {
+    const { image, version, build, pwd, command, entrypoint } = service;
+    /**
+     * @type {ComposeService}
+     */
+    const res = {};
+
+    if (build) {
+      res.build = { context: getPath(pwd || './'), dockerfile: build.dockerfile };
+    } else if (image === 'custom') {
+      res.image = version;
+    } else {
+      res.image = `${this.getImageName(image, deployData)}:${version || 'latest'}`;
+      // Files of custom services are uploaded to the cloud, locally they are mounted
+      if (isCustomService(image)) {
+        res.working_dir = WORKING_DIR;
+        res.volumes = [`${getPath(pwd || './')}:${WORKING_DIR}`];
+      }
+    }
+    if (service.git) {
+      warn('"git" is not supported, local files of "pwd" are used');
+    }
+
+    if (entrypoint) {
+      res.entrypoint = entrypoint;
+    }
+    if (command) {
+      // Commands of the cloud are run by shell
+      res.command = entrypoint ? command : ['sh', '-c', command];
+    }
+
+    if (service.ports) {
+      res.ports = service.ports.map(({ port }) => `${port}:${port}`);
+    }
+
+    if (service.environment) {
+      res.environment = service.environment.slice();
+    }
+
+    const { env_file: envFile } = /** @type {typeof as<{ env_file?: string | string[] }>} */ (as)(
+      service
+    );
+    if (envFile) {
+      res.env_file = (Array.isArray(envFile) ? envFile : [envFile]).map(getPath);
+    }
+
+    (service.volumes || []).forEach((item) => {
+      const localM = item.match(VOLUME_LOCAL_REGEX);
+      if (/^https?:\/\//.test(item) || !localM) {
+        warn(`Volume "${item}" is not a local file and skipped`);
+        return;
+      }
+      const local = localM[0].replace(VOLUME_LOCAL_POSTFIX_REGEX, '');
+      res.volumes = (res.volumes || []).concat(`${getPath(local)}${item.substring(local.length)}`);
+    });
+
+    if (service.restart) {
+      res.restart = service.restart;
+    }
+    if (service.deploy && service.deploy.replicas) {
+      res.deploy = { replicas: service.deploy.replicas };
+    }
+    if (service.domains) {
+      warn('"domains" are not supported, ports are published on localhost');
+    }
+
+    return res;
+  }
+
+  /**
+   * @private
+   * @param {ServiceType} type
+   * @param {DeployData | null} deployData
+   * @returns {string}
+   */
+  getImageName(type, deployData) {
+    const service = deployData ? deployData.services.find((item) => item.type === type) : null;
+    return (service && service.images) || IMAGE_ALIASES[type] || type;
+  }
+
+  /**
+   * Find type of service by Docker Hub image, unknown image is run as custom container
+   * @private
+   * @param {string} image
+   * @param {DeployData} deployData
+   * @param {(msg: string) => void} warn
+   * @returns {{ type: ServiceType; version: string }}
+   */
+  getImage(image, deployData, warn) {
+    const tagIndex = image.lastIndexOf(':');
+    const hasTag = tagIndex > image.lastIndexOf('/');
+    const repository = hasTag ? image.substring(0, tagIndex) : image;
+    const tag = hasTag ? image.substring(tagIndex + 1) : 'latest';
+    const repositoryName = repository.split('/').pop() || repository;
+
+    const alias = /** @type {ServiceType[]} */ (Object.keys(IMAGE_ALIASES)).find(
+      (item) => IMAGE_ALIASES[item] === repository
+    );
+    const service = deployData.services.find(
+      (item) => item.type === (alias || repositoryName) || item.images === repository
+    );
+    if (!service) {
+      warn(`Image "${image}" is not in the list of services, it is set as custom container`);
+      return { type: 'custom', version: image };
+    }
+    if (service.tags.length && service.tags.indexOf(tag) === -1) {
+      warn(`Version "${tag}" of "${service.type}" is not in the list of versions`);
+    }
+    return { type: service.type, version: tag };
+  }
+
+  /**
+   * Only ports of containers are mapped, published ports are set by the cloud
+   * @private
+   * @param {(string | number | Record<string, any>)[]} ports
+   * @param {(msg: string) => void} warn
+   * @returns {NonNullable<ConfigService['ports']>}
+   */
+  getPorts(ports, warn) {
+    /**
+     * @type {NonNullable<ConfigService['ports']>}
+     */
+    const res = [];
+    ports.forEach((item) => {
+      let target = '';
+      let protocol = 'tcp';
+      if (typeof item === 'object') {
+        target = `${item.target}`;
+        protocol = item.protocol || protocol;
+      } else {
+        const [value, _protocol] = `${item}`.split('/');
+        target = value.split(':').pop() || '';
+        protocol = _protocol || protocol;
+      }
+      const port = parseInt(target, 10);
+      if (protocol !== 'tcp' || !/^\d+$/.test(target) || port > PORT_MAX) {
+        warn(`Port "${typeof item === 'object' ? JSON.stringify(item) : item}" is skipped`);
+        return;
+      }
+      if (!res.find((_item) => _item.port === port)) {
+        res.push({ port, type: 'proxy' });
+      }
+    });
+    return res;
+  }
+
+  /**
+   * Variables without value are taken from the shell like compose does
+   * @private
+   * @param {string[] | Record<string, string | number | boolean | null> | undefined} environment
+   * @returns {string[]}
+   */
+  getEnvironment(environment) {
+    if (!environment) {
+      return [];
+    }
+    const list = Array.isArray(environment)
+      ? environment
+      : Object.keys(environment).map((item) => {
+          const value = environment[item];
+          return value === null ? item : `${item}=${value}`;
+        });
+    return list.map((item) => (item.indexOf('=') === -1 ? `${item}=\${${item}}` : item));
+  }
+
+  /**
+   * @private
+   * @param {string | string[]} command
+   * @returns {string}
+   */
+  getCommand(command) {
+    if (!Array.isArray(command)) {
+      return command;
+    }
+    return command.map((item) => (/\s/.test(item) ? JSON.stringify(item) : item)).join(' ');
+  }
+
+  /**
+   * Only files are supported as volumes, directories and named volumes are skipped
+   * @private
+   * @param {(string | Record<string, any>)[]} volumes
+   * @param {string} cwd
+   * @param {(msg: string) => void} warn
+   * @returns {string[]}
+   */
+  getVolumes(volumes, cwd, warn) {
+    /**
+     * @type {string[]}
+     */
+    const res = [];
+    volumes.forEach((item) => {
+      const [source, target] =
+        typeof item === 'string' ? item.split(':') : [item.source, item.target];
+      const localPath = source ? resolve(cwd, source) : '';
+      if (
+        !target ||
+        !/^[./]/.test(source) ||
+        !existsSync(localPath) ||
+        !statSync(localPath).isFile()
+      ) {
+        warn(`Volume "${typeof item === 'string' ? item : source}" is not a file and skipped`);
+        return;
+      }
+      res.push(`${source}:${target}`);
+    });
+    return res;
+  }
+}
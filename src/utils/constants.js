@@ -59,14 +59,44 @@ export const CRYPTO_IV = process.env.CRYPTO_IV || 'string';
 export const QUERY_STRING_CONN_ID = 'conn';
 
 export const HOME_DIR = os.homedir();
-export const CWD = process.cwd();
 export const PACKAGE_VERSION = pack.version;
 export const PACKAGE_NAME = pack.name;
 export const CONFIG_FILE_NAME = `${PACKAGE_NAME}.yml`;
 export const CONFIG_FILE_NAME_A = `${PACKAGE_NAME}.yaml`;
 export const SESSION_FILE_NAME = 'auth';
+/**
+ * Session of default profile is kept in the session file of package dir
+ */
+export const PROFILE_DEFAULT = 'default';
+export const PROFILE_FILE_NAME = 'profile';
+export const PROFILES_DIR_NAME = 'profiles';
+export const PROFILE_ENV_NAME = 'CONHOS_PROFILE';
+export const PROFILE_NAME_REGEX = /^[a-zA-Z0-9_-]+$/;
+/**
+ * Token of environment variable is used instead of session of profile, for example in CI
+ */
+export const TOKEN_ENV_NAME = 'CONHOS_TOKEN';
 export const METADATA_FILE_NAME = 'metadata';
+/**
+ * Directory of project files which are committed with the config file
+ */
+export const PROJECT_DIR_NAME = `.${PACKAGE_NAME}`;
+export const PROJECT_FILE_NAME = 'project.json';
+export const DEPLOY_DATA_FILE_NAME = 'deploy-data.json';
 export const PACKAGES_DIR_NAME = 'packages';
+export const RELEASES_DIR_NAME = 'releases';
+export const RELEASE_FILE_NAME = 'release.json';
+export const RELEASES_MAX = 10;
+export const BACKUPS_DIR_NAME = 'backups';
+/**
+ * Time to wait url of backup of service from the cloud
+ */
+export const BACKUP_TIMEOUT = 10 * 60 * 1000;
+
+/**
+ * @type {import('../types/interfaces.js').HookName[]}
+ */
+export const HOOK_NAMES = ['pre_deploy', 'post_deploy', 'pre_upload'];
 /**
  * @type {ServiceSize}
  */
@@ -85,7 +115,9 @@ export const COMMAND_DEFAULT = {
   ruby: 'bundle install && ruby server.rb',
   custom: 'tail -f /dev/null',
 };
-export const EXPLICIT_EXCLUDE = ['.git', '.vscode'];
+export const EXPLICIT_EXCLUDE = ['.git', '.vscode', PROJECT_DIR_NAME];
+export const GITIGNORE_FILE_NAME = '.gitignore';
+export const IGNORE_FILE_NAME = `.${PACKAGE_NAME}ignore`;
 /**
  * @type {Record<import('conhos-vscode').ServiceTypeCustom, string[]>}
  */
@@ -101,7 +133,20 @@ export const EXCLUDE_DEFAULT = {
 
 export const SIZE_INDEX_DEFAULT = 3;
 export const CACHE_FILE_NAME = '.cache.json';
+export const CACHE_HASH_ALGORITHM = 'sha256';
 export const CLOUD_LOG_PREFIX = '[cloud]';
 export const UPLOAD_PERCENT_DIFF = 3;
 export const UPLOAD_CHUNK_SIZE = 64 * 1024;
 export const UPLOAD_SPEED_INTERVAL = 2000;
+export const UPLOAD_PART_SIZE = 4 * 1024 * 1024;
+export const UPLOAD_RETRY_MAX = 5;
+export const UPLOAD_RETRY_DELAY = 1000;
+export const WATCH_DEBOUNCE = 500;
+export const UPLOAD_CONCURRENCY_DEFAULT = 4;
+// Depends conhos-app resumable upload headers
+export const HEADER_UPLOAD_PARTS = 'x-upload-parts';
+export const HEADER_UPLOAD_PART = 'x-upload-part';
+export const HEADER_UPLOAD_CHECKSUM = 'x-upload-checksum';
+export const HEADER_UPLOAD_PART_CHECKSUM = 'x-upload-part-checksum';
+export const SECRET_NAME_REGEX = /SECRET|PASSWORD|PASS|TOKEN|KEY|PRIVATE|CREDENTIAL/i;
+export const SECRET_MASK = '******';
@@ -9,6 +9,8 @@
  * Create Date: Sun Sep 01 2024 13:12:51 GMT+0700 (Krasnoyarsk Standard Time)
  ******************************************************************************************/
 import crypto from 'crypto';
+import { createReadStream } from 'fs';
+import { CACHE_HASH_ALGORITHM } from './constants.js';
 
 const ALGORITHM = 'aes-256-cbc';
 
@@ -70,4 +72,34 @@ export default class Crypto {
   createHash(secret) {
     return crypto.scryptSync(secret, 'salt', 32);
   }
+
+  /**
+   * @public
+   * @param {Buffer} data
+   * @returns {string}
+   */
+  createBufferHash(data) {
+    return crypto.createHash(CACHE_HASH_ALGORITHM).update(data).digest('hex');
+  }
+
+  /**
+   * @public
+   * @param {string} filePath
+   * @returns {Promise<string>}
+   */
+  async createFileHash(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash(CACHE_HASH_ALGORITHM);
+      const file = createReadStream(filePath);
+      file.on('data', (chunk) => {
+        hash.update(chunk);
+      });
+      file.on('end', () => {
+        resolve(hash.digest('hex'));
+      });
+      file.on('error', (err) => {
+        reject(err);
+      });
+    });
+  }
 }
@@ -0,0 +1,58 @@
+/******************************************************************************************
+ * Repository: Conhos cli
+ * File name: env-file.js
+ * Author: Sergey Kolmiller
+ * Email: <kolserdav@conhos.ru>
+ * License: MIT
+ * License text: See LICENSE file
+ * Copyright: kolserdav, All rights reserved (c)
+ * Create Date: Mon Oct 19 2026 12:00:00 GMT+0700 (Krasnoyarsk Standard Time)
+ ******************************************************************************************/
+import dotenv from 'dotenv';
+import { existsSync, readFileSync } from 'fs';
+import { resolve } from 'path';
+import { as, console } from './lib.js';
+
+/**
+ * @typedef {import('conhos-vscode').ConfigFile} ConfigFile
+ * @typedef {import('../types/interfaces.js').EnvFile} EnvFileConfig
+ */
+
+export default class EnvFile {
+  /**
+   * Env files of project or service, types of config file don't include them
+   * @public
+   * @param {ConfigFile | ConfigFile['services'][0]} target
+   * @returns {string[]}
+   */
+  get(target) {
+    const envFile = /** @type {typeof as<{ env_file?: EnvFileConfig }>} */ (as)(target).env_file;
+    if (!envFile) {
+      return [];
+    }
+    return Array.isArray(envFile) ? envFile : [envFile];
+  }
+
+  /**
+   * Read variables of files, values of the next file override values of the previous
+   * @public
+   * @param {string[]} files
+   * @param {string} cwd
+   * @returns {Record<string, string>}
+   */
+  read(files, cwd) {
+    /**
+     * @type {Record<string, string>}
+     */
+    let res = {};
+    files.forEach((item) => {
+      const filePath = resolve(cwd, item);
+      if (!existsSync(filePath)) {
+        console.error('Env file is not exists', filePath);
+        process.exit(1);
+      }
+      res = { ...res, ...dotenv.parse(readFileSync(filePath)) };
+    });
+    return res;
+  }
+}
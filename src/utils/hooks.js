@@ -0,0 +1,96 @@
+/******************************************************************************************
+ * Repository: Conhos cli
+ * File name: hooks.js
+ * Author: Sergey Kolmiller
+ * Email: <kolserdav@conhos.ru>
+ * License: MIT
+ * License text: See LICENSE file
+ * Copyright: kolserdav, All rights reserved (c)
+ * Create Date: Mon Oct 19 2026 12:00:00 GMT+0700 (Krasnoyarsk Standard Time)
+ ******************************************************************************************/
+import { spawn } from 'child_process';
+import { createInterface } from 'readline';
+import Console from 'console';
+import chalk from 'chalk';
+import { as, console } from './lib.js';
+
+/**
+ * @typedef {import('conhos-vscode').ConfigFile} ConfigFile
+ * @typedef {import('../types/interfaces.js').HookName} HookName
+ * @typedef {import('../types/interfaces.js').Hooks} HooksConfig
+ */
+
+export default class Hooks {
+  /**
+   * Hooks of project or service, types of config file don't include them
+   * @public
+   * @param {ConfigFile | ConfigFile['services'][0]} target
+   * @returns {HooksConfig}
+   */
+  get(target) {
+    return /** @type {typeof as<{ hooks?: HooksConfig }>} */ (as)(target).hooks || {};
+  }
+
+  /**
+   * Run commands of hook one by one
+   * @public
+   * @param {{
+   *  name: HookName;
+   *  hooks: HooksConfig;
+   *  cwd: string;
+   *  prefix: string;
+   * }} param0
+   * @returns {Promise<boolean>} - false if one of commands failed
+   */
+  async run({ name, hooks, cwd, prefix }) {
+    const value = hooks[name];
+    if (!value) {
+      return true;
+    }
+    const commands = Array.isArray(value) ? value : [value];
+    for (let i = 0; commands[i]; i++) {
+      const command = commands[i];
+      console.info(`Running hook "${name}" of "${prefix}"`, command);
+      const code = await this.exec({ command, cwd, prefix });
+      if (code !== 0) {
+        console.error(`Hook "${name}" of "${prefix}" failed with code ${code}`, command);
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * @private
+   * @param {{
+   *  command: string;
+   *  cwd: string;
+   *  prefix: string;
+   * }} param0
+   * @returns {Promise<number>}
+   */
+  async exec({ command, cwd, prefix }) {
+    const _prefix = chalk.cyan(`[${prefix}]`);
+    return new Promise((resolve) => {
+      const child = spawn(command, {
+        cwd,
+        shell: true,
+        env: process.env,
+        stdio: ['ignore', 'pipe', 'pipe'],
+      });
+      createInterface({ input: child.stdout }).on('line', (line) => {
+        Console.log(`${_prefix} ${line}`);
+      });
+      createInterface({ input: child.stderr }).on('line', (line) => {
+        Console.error(`${_prefix} ${line}`);
+      });
+      child.on('error', (err) => {
+        Console.error(`${_prefix} ${err.message}`);
+        resolve(1);
+      });
+      child.on('close', (code) => {
+        resolve(code === null ? 1 : code);
+      });
+    });
+  }
+}
@@ -0,0 +1,158 @@
+/******************************************************************************************
+ * Repository: Conhos cli
+ * File name: ignore.js
+ * Author: Sergey Kolmiller
+ * Email: <kolserdav@conhos.ru>
+ * License: MIT
+ * License text: See LICENSE file
+ * Copyright: kolserdav, All rights reserved (c)
+ * Create Date: Mon Oct 19 2026 12:00:00 GMT+0700 (Krasnoyarsk Standard Time)
+ ******************************************************************************************/
+import ignore from 'ignore';
+import { existsSync } from 'fs';
+import { readdir, readFile } from 'fs/promises';
+import { normalize, resolve } from 'path';
+import { GITIGNORE_FILE_NAME, IGNORE_FILE_NAME } from './constants.js';
+import { console } from './lib.js';
+
+/**
+ * @typedef {{
+ *  base: string;
+ *  source: string;
+ *  matcher: import('ignore').Ignore;
+ * }} IgnoreMatcher
+ * @typedef {{
+ *  pattern: string;
+ *  source: string;
+ * }} IgnoreRule
+ */
+
+/**
+ * Ignore files in the order of priority, rules of the next file override rules of the previous
+ */
+const IGNORE_FILES = [GITIGNORE_FILE_NAME, IGNORE_FILE_NAME];
+
+export default class Ignore {
+  /**
+   * Get paths relative to target dir which are excluded by ignore files.
+   * Children of an excluded directory are not included in the result
+   * @public
+   * @param {string} targetDirPath
+   * @param {string[]} exclude - paths which are skipped without reading
+   * @returns {Promise<string[]>}
+   */
+  async getExcluded(targetDirPath, exclude) {
+    /**
+     * @type {string[]}
+     */
+    const excluded = [];
+    await this.readDir({
+      targetDirPath,
+      dirPath: '',
+      matchers: [],
+      exclude: exclude.map((item) => normalize(item)),
+      excluded,
+    });
+    return excluded;
+  }
+
+  /**
+   * @private
+   * @param {{
+   *  targetDirPath: string;
+   *  dirPath: string;
+   *  matchers: IgnoreMatcher[];
+   *  exclude: string[];
+   *  excluded: string[];
+   * }} param0
+   */
+  async readDir({ targetDirPath, dirPath, matchers, exclude, excluded }) {
+    const dirPathAbs = resolve(targetDirPath, dirPath);
+    const _matchers = matchers.concat(await this.readIgnoreFiles(dirPathAbs, dirPath));
+    const dir = await readdir(dirPathAbs, { withFileTypes: true });
+
+    for (let i = 0; dir[i]; i++) {
+      const item = dir[i];
+      const pathRel = dirPath ? `${dirPath}/${item.name}` : item.name;
+      if (exclude.indexOf(normalize(pathRel)) !== -1) {
+        continue;
+      }
+
+      const isDir = item.isDirectory();
+      const rule = this.test(_matchers, pathRel, isDir);
+      if (rule) {
+        console.log('Excluded by rule', `"${rule.pattern}" from ${rule.source}: ${pathRel}`);
+        excluded.push(pathRel);
+        continue;
+      }
+
+      if (isDir) {
+        await this.readDir({
+          targetDirPath,
+          dirPath: pathRel,
+          matchers: _matchers,
+          exclude,
+          excluded,
+        });
+      }
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} dirPathAbs
+   * @param {string} dirPath
+   * @returns {Promise<IgnoreMatcher[]>}
+   */
+  async readIgnoreFiles(dirPathAbs, dirPath) {
+    /**
+     * @type {IgnoreMatcher[]}
+     */
+    const res = [];
+    for (let i = 0; IGNORE_FILES[i]; i++) {
+      const fileName = IGNORE_FILES[i];
+      const filePath = resolve(dirPathAbs, fileName);
+      if (!existsSync(filePath)) {
+        continue;
+      }
+      const data = await readFile(filePath);
+      res.push({
+        base: dirPath,
+        source: dirPath ? `${dirPath}/${fileName}` : fileName,
+        matcher: ignore().add(data.toString()),
+      });
+    }
+    return res;
+  }
+
+  /**
+   * Check path against all matchers from the root to the deepest one, the last matched rule wins.
+   * A rule matched only by the parent directory is skipped, because the parent was not excluded
+   * by the following rules when it was visited
+   * @private
+   * @param {IgnoreMatcher[]} matchers
+   * @param {string} pathRel
+   * @param {boolean} isDir
+   * @returns {IgnoreRule | null}
+   */
+  test(matchers, pathRel, isDir) {
+    /**
+     * @type {IgnoreRule | null}
+     */
+    let res = null;
+    matchers.forEach(({ base, source, matcher }) => {
+      const _pathRel = base ? pathRel.substring(base.length + 1) : pathRel;
+      const { ignored, unignored, rule } = matcher.test(isDir ? `${_pathRel}/` : _pathRel);
+      const parent = _pathRel.substring(0, _pathRel.lastIndexOf('/'));
+      if (ignored && parent && matcher.test(`${parent}/`).rule === rule) {
+        return;
+      }
+      if (ignored && rule) {
+        res = { pattern: rule.pattern, source };
+      } else if (unignored) {
+        res = null;
+      }
+    });
+    return res;
+  }
+}
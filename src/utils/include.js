@@ -0,0 +1,451 @@
+/******************************************************************************************
+ * Repository: Conhos cli
+ * File name: include.js
+ * Author: Sergey Kolmiller
+ * Email: <kolserdav@conhos.ru>
+ * License: MIT
+ * License text: See LICENSE file
+ * Copyright: kolserdav, All rights reserved (c)
+ * Create Date: Mon Oct 19 2026 12:00:00 GMT+0700 (Krasnoyarsk Standard Time)
+ ******************************************************************************************/
+import { existsSync, readFileSync } from 'fs';
+import { dirname, resolve } from 'path';
+import { parseEnvironmentVariable } from 'conhos-vscode/dist/lib.js';
+import { VOLUME_LOCAL_REGEX } from 'conhos-vscode/dist/constants.js';
+import { as } from './lib.js';
+import Yaml from './yaml.js';
+
+/**
+ * @typedef {import('conhos-vscode').ConfigFile} ConfigFile
+ * @typedef {import('conhos-vscode').CheckConfigResult} CheckConfigResult
+ * @typedef {import('../types/interfaces.js').IncludeError} IncludeError
+ * @typedef {import('../types/interfaces.js').ConfigOrigin} ConfigOrigin
+ * @typedef {{
+ *  file?: string;
+ *  service?: string;
+ * }} Extends
+ * @typedef {{
+ *  config: Record<string, any>;
+ *  configText: string;
+ *  configFile: string;
+ * }} SourceFile
+ * @typedef {{
+ *  value: Record<string, any>;
+ *  origin: ConfigOrigin;
+ * }} Resolved
+ */
+
+/**
+ * Lists which are merged by include and extends with keys of items,
+ * an item of the file replaces the item with the same key, other lists are replaced
+ * @type {Record<string, (item: any) => any>}
+ */
+const MERGED_LISTS = {
+  environment: (item) => (typeof item === 'string' && parseEnvironmentVariable(item)?.name) || item,
+  ports: (item) => (item && typeof item === 'object' ? item.port : item),
+  volumes: (item) => (typeof item === 'string' ? item.replace(VOLUME_LOCAL_REGEX, '') : item),
+};
+
+const yaml = new Yaml();
+
+export default class Include {
+  /**
+   * Merge files of "include" and services of "extends" into config.
+   * Fields of the file override fields of included files, fields of service override fields of
+   * extended service or template. Templates are only extended, they are not deployed.
+   * Paths are relative to the file where they are set
+   * @public
+   * @param {{
+   *  config: ConfigFile;
+   *  configText: string;
+   *  configFile: string;
+   * }} param0
+   * @returns {{ config: ConfigFile; origin: ConfigOrigin; error: IncludeError | null }}
+   */
+  resolve({ config, configText, configFile }) {
+    const { resolved, error } = this.resolveFile({ config, configText, configFile }, []);
+    return {
+      config: /** @type {typeof as<ConfigFile>} */ (as)(resolved.value),
+      origin: resolved.origin,
+      error,
+    };
+  }
+
+  /**
+   * Merge config file of environment into resolved config.
+   * Objects are merged, lists of the file replace lists of config and null removes the field
+   * @public
+   * @param {{ config: ConfigFile; origin: ConfigOrigin }} resolved
+   * @param {{
+   *  config: Record<string, any>;
+   *  configText: string;
+   *  configFile: string;
+   * }} overlay
+   * @returns {{ config: ConfigFile; origin: ConfigOrigin }}
+   */
+  overlay({ config, origin }, overlay) {
+    const { value, origin: _origin } = this.merge(
+      { value: config, origin },
+      { value: overlay.config, origin: this.getOrigin(overlay.config, overlay, []) },
+      false
+    );
+    return {
+      config: /** @type {typeof as<ConfigFile>} */ (as)(value),
+      origin: { ...origin, children: _origin.children },
+    };
+  }
+
+  /**
+   * File and position of the field of resolved config where it is set
+   * @public
+   * @param {ConfigOrigin} origin
+   * @param {(string | number)[]} path
+   * @returns {{ file: string; position: CheckConfigResult['position'] }}
+   */
+  getLocation(origin, path) {
+    let node = origin;
+    let i = 0;
+    for (; i < path.length; i++) {
+      const child = node.children[String(path[i])];
+      if (!child) {
+        break;
+      }
+      node = child;
+    }
+    return {
+      file: node.file,
+      position: yaml.getPosition(node.configText, node.path.concat(path.slice(i))),
+    };
+  }
+
+  /**
+   * File and position of the field at position of the text of resolved config
+   * @public
+   * @param {ConfigOrigin} origin
+   * @param {string} configText - text of resolved config
+   * @param {CheckConfigResult['position']} position
+   * @returns {{ file: string; position: CheckConfigResult['position'] }}
+   */
+  getLocationAt(origin, configText, position) {
+    return this.getLocation(origin, yaml.getPathAt(configText, position));
+  }
+
+  /**
+   * @private
+   * @param {SourceFile} source
+   * @param {string[]} stack - files which include the source
+   * @returns {{ resolved: Resolved; error: IncludeError | null }}
+   */
+  resolveFile(source, stack) {
+    const { configFile } = source;
+    const { include, templates, ...config } = source.config;
+    const _stack = stack.concat(configFile);
+
+    /**
+     * @type {Resolved}
+     */
+    let res = { value: {}, origin: this.getOrigin({}, source, []) };
+    /**
+     * @type {string[]}
+     */
+    const includes = include ? [].concat(include) : [];
+    for (let i = 0; includes[i]; i++) {
+      const path = Array.isArray(include) ? ['include', i] : ['include'];
+      const file = resolve(dirname(configFile), includes[i]);
+      if (_stack.indexOf(file) !== -1) {
+        return {
+          resolved: res,
+          error: this.getError({
+            msg: 'Cycle of included files',
+            data: _stack.concat(file).join(' -> '),
+            source,
+            path,
+          }),
+        };
+      }
+      const included = this.readFile(file, { source, path });
+      if (included.error) {
+        return { resolved: res, error: included.error };
+      }
+      const { resolved, error } = this.resolveFile(included.source, _stack);
+      if (error) {
+        return { resolved: res, error };
+      }
+      res = this.merge(res, resolved);
+    }
+
+    /**
+     * @type {Resolved}
+     */
+    const own = { value: config, origin: this.getOrigin(config, source, []) };
+    if (config.services) {
+      /**
+       * @type {Record<string, any>}
+       */
+      const services = {};
+      /**
+       * @type {Record<string, ConfigOrigin>}
+       */
+      const origins = {};
+      const serviceNames = Object.keys(config.services);
+      for (let i = 0; serviceNames[i]; i++) {
+        const { resolved, error } = this.resolveService(source, 'services', serviceNames[i], []);
+        if (error) {
+          return { resolved: res, error };
+        }
+        services[serviceNames[i]] = resolved.value;
+        origins[serviceNames[i]] = resolved.origin;
+      }
+      own.value = { ...config, services };
+      own.origin.children.services = { ...own.origin.children.services, children: origins };
+    }
+
+    return { resolved: this.merge(res, own), error: null };
+  }
+
+  /**
+   * @private
+   * @param {SourceFile} source
+   * @param {'services' | 'templates'} group
+   * @param {string} name
+   * @param {string[]} stack - services which extend the service
+   * @returns {{ resolved: Resolved; error: IncludeError | null }}
+   */
+  resolveService(source, group, name, stack) {
+    const { configFile } = source;
+    const { extends: _extends, ...service } = source.config[group][name] || {};
+    /**
+     * @type {Resolved}
+     */
+    const own = { value: service, origin: this.getOrigin(service, source, [group, name]) };
+    if (!_extends) {
+      return { resolved: own, error: null };
+    }
+
+    const path = [group, name, 'extends'];
+    /**
+     * @type {Extends}
+     */
+    const { file, service: baseName } = typeof _extends === 'object' ? _extends : {};
+    if (!baseName) {
+      return {
+        resolved: own,
+        error: this.getError({
+          msg: `Service "${name}" has wrong "extends"`,
+          data: 'Field "service" is required',
+          source,
+          path,
+        }),
+      };
+    }
+
+    const key = `${configFile}#${group}.${name}`;
+    if (stack.indexOf(key) !== -1) {
+      return {
+        resolved: own,
+        error: this.getError({
+          msg: 'Cycle of extended services',
+          data: stack.concat(key).join(' -> '),
+          source,
+          path,
+        }),
+      };
+    }
+
+    let baseSource = source;
+    if (file) {
+      const { source: _source, error } = this.readFile(resolve(dirname(configFile), file), {
+        source,
+        path: path.concat('file'),
+      });
+      if (error) {
+        return { resolved: own, error };
+      }
+      baseSource = _source;
+    }
+    const { templates, services } = baseSource.config;
+    /**
+     * @type {'services' | 'templates' | null}
+     */
+    const baseGroup =
+      templates && templates[baseName]
+        ? 'templates'
+        : services && services[baseName]
+          ? 'services'
+          : null;
+    if (!baseGroup) {
+      return {
+        resolved: own,
+        error: this.getError({
+          msg: `Service "${baseName}" to extend is not found`,
+          data: baseSource.configFile,
+          source,
+          path: path.concat('service'),
+        }),
+      };
+    }
+
+    const base = this.resolveService(baseSource, baseGroup, baseName, stack.concat(key));
+    if (base.error) {
+      return { resolved: own, error: base.error };
+    }
+    return { resolved: this.merge(base.resolved, own), error: null };
+  }
+
+  /**
+   * Fields with null value are removed, objects and lists of MERGED_LISTS are merged.
+   * Origins of merged values are kept with them
+   * @private
+   * @param {Resolved} base
+   * @param {Resolved} own
+   * @param {boolean} [mergeLists=true] - otherwise all lists are replaced
+   * @returns {Resolved}
+   */
+  merge(base, own, mergeLists = true) {
+    /**
+     * @type {Record<string, any>}
+     */
+    const value = { ...base.value };
+    const children = { ...base.origin.children };
+    Object.keys(own.value).forEach((key) => {
+      const ownValue = own.value[key];
+      const ownOrigin = own.origin.children[key];
+      const baseValue = value[key];
+      if (ownValue === null) {
+        delete value[key];
+        delete children[key];
+      } else if (this.isObject(ownValue) && this.isObject(baseValue)) {
+        const merged = this.merge(
+          { value: baseValue, origin: children[key] },
+          { value: ownValue, origin: ownOrigin },
+          mergeLists
+        );
+        value[key] = merged.value;
+        children[key] = merged.origin;
+      } else if (
+        mergeLists &&
+        MERGED_LISTS[key] &&
+        Array.isArray(ownValue) &&
+        Array.isArray(baseValue)
+      ) {
+        const getKey = MERGED_LISTS[key];
+        const keys = ownValue.map((item) => getKey(item));
+        /**
+         * @type {any[]}
+         */
+        const list = [];
+        /**
+         * @type {Record<string, ConfigOrigin>}
+         */
+        const listChildren = {};
+        baseValue.forEach((item, index) => {
+          if (keys.indexOf(getKey(item)) === -1) {
+            listChildren[list.length] = children[key].children[index];
+            list.push(item);
+          }
+        });
+        ownValue.forEach((item, index) => {
+          listChildren[list.length] = ownOrigin.children[index];
+          list.push(item);
+        });
+        value[key] = list;
+        children[key] = { ...ownOrigin, children: listChildren };
+      } else {
+        value[key] = ownValue;
+        children[key] = ownOrigin;
+      }
+    });
+    return { value, origin: { ...own.origin, children } };
+  }
+
+  /**
+   * @private
+   * @param {any} value
+   * @param {SourceFile} source
+   * @param {(string | number)[]} path
+   * @returns {ConfigOrigin}
+   */
+  getOrigin(value, source, path) {
+    /**
+     * @type {Record<string, ConfigOrigin>}
+     */
+    const children = {};
+    if (value && typeof value === 'object') {
+      Object.keys(value).forEach((key) => {
+        children[key] = this.getOrigin(
+          value[key],
+          source,
+          path.concat(Array.isArray(value) ? Number(key) : key)
+        );
+      });
+    }
+    return { file: source.configFile, configText: source.configText, path, children };
+  }
+
+  /**
+   * @private
+   * @param {any} value
+   * @returns {value is Record<string, any>}
+   */
+  isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+  }
+
+  /**
+   * @private
+   * @param {string} file
+   * @param {{ source: SourceFile; path: (string | number)[] }} parent - where the file is set
+   * @returns {{ source: SourceFile; error: IncludeError | null }}
+   */
+  readFile(file, { source, path }) {
+    if (!existsSync(file)) {
+      return {
+        source,
+        error: this.getError({ msg: 'File is not exists', data: file, source, path }),
+      };
+    }
+    const configText = readFileSync(file).toString();
+    const parseError = yaml.getParseError(configText);
+    if (parseError) {
+      return {
+        source,
+        error: {
+          msg: 'Failed to parse file',
+          data: parseError.message,
+          exit: true,
+          position: parseError.position,
+          file,
+        },
+      };
+    }
+    const config = yaml.parse(configText);
+    if (!config || typeof config !== 'object') {
+      return {
+        source,
+        error: this.getError({ msg: 'File is empty', data: file, source, path }),
+      };
+    }
+    return { source: { config, configText, configFile: file }, error: null };
+  }
+
+  /**
+   * Error is reported at the field of the file where it is set
+   * @private
+   * @param {{
+   *  msg: string;
+   *  data: string;
+   *  source: SourceFile;
+   *  path: (string | number)[];
+   * }} param0
+   * @returns {IncludeError}
+   */
+  getError({ msg, data, source, path }) {
+    return {
+      msg,
+      data,
+      exit: true,
+      position: yaml.getPosition(source.configText, path),
+      file: source.configFile,
+    };
+  }
+}
@@ -11,9 +11,20 @@
 import chalk from 'chalk';
 import Console from 'console';
 import path from 'path';
-import { existsSync, readFileSync } from 'fs';
-import { HOME_DIR, PACKAGE_NAME, DEBUG, CWD, CONFIG_FILE_NAME } from './constants.js';
+import { createWriteStream, existsSync, mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import {
+  HOME_DIR,
+  PACKAGE_NAME,
+  DEBUG,
+  CONFIG_FILE_NAME,
+  CONFIG_FILE_NAME_A,
+  DEPLOY_DATA_FILE_NAME,
+} from './constants.js';
 import { ERROR_LOG_PREFIX } from 'conhos-vscode/dist/constants.js';
+import { ENV_VARIABLE_EXPRESSION_REGEX } from '../types/interfaces.js';
 
 /**
  * @template T
@@ -29,6 +40,7 @@ export function as(data) {
  * @typedef {import('conhos-vscode').Status} Status
  * @typedef {import('conhos-vscode').UploadFileBody} UploadFileBody
  * @typedef {import('./constants.js').CommandDefault} CommandDefault
+ * @typedef {import('../types/interfaces.js').EnvInterpolation} EnvInterpolation
  */
 
 /**
@@ -60,6 +72,9 @@ const getBrightUnderline = (arg) => {
     : undefined;
 };
 
+/**
+ * Logs are written to stderr, so stdout keeps only output of commands, like JSON or YAML
+ */
 export const console = {
   /**
    *
@@ -68,7 +83,7 @@ export const console = {
    */
   log: (...args) => {
     if (DEBUG) {
-      Console.log('debug:', chalk.gray(args[0]), getBrightUnderline(args[1]), ...args.slice(2));
+      Console.error('debug:', chalk.gray(args[0]), getBrightUnderline(args[1]), ...args.slice(2));
     }
   },
   /**
@@ -77,7 +92,12 @@ export const console = {
    * @returns {void}
    */
   info: (...args) => {
-    Console.info('info:', chalk.cyanBright(args[0]), getBrightUnderline(args[1]), ...args.slice(2));
+    Console.error(
+      'info:',
+      chalk.cyanBright(args[0]),
+      getBrightUnderline(args[1]),
+      ...args.slice(2)
+    );
   },
   /**
    *
@@ -123,6 +143,32 @@ export async function wait(timeout) {
   });
 }
 
+/**
+ * Repeat the promise function with exponential backoff while it rejects
+ * @template T
+ * @param {() => Promise<T>} fn
+ * @param {{
+ *  retries: number;
+ *  delay: number;
+ *  onRetry?: (error: Error, attempt: number) => void;
+ * }} options
+ * @param {number} [attempt=0]
+ * @returns {Promise<T>}
+ */
+export async function retry(fn, options, attempt = 0) {
+  const { retries, delay, onRetry } = options;
+  return fn().catch(async (error) => {
+    if (attempt >= retries) {
+      throw error;
+    }
+    if (onRetry) {
+      onRetry(error, attempt + 1);
+    }
+    await wait(delay * 2 ** attempt);
+    return retry(fn, options, attempt + 1);
+  });
+}
+
 /**
  *
  * @param {string} postfix
@@ -132,6 +178,43 @@ export function getPackagePath(postfix = '') {
   return path.normalize(`${HOME_DIR}/.${PACKAGE_NAME}/${postfix}`);
 }
 
+/**
+ * Deploy data which was saved on the last connection to the cloud
+ * @returns {import('conhos-vscode').DeployData | null}
+ */
+export function readDeployData() {
+  const deployDataPath = getPackagePath(DEPLOY_DATA_FILE_NAME);
+  if (!existsSync(deployDataPath)) {
+    return null;
+  }
+  try {
+    return JSON.parse(readFileSync(deployDataPath).toString());
+  } catch (e) {
+    console.warn('Failed to parse deploy data', deployDataPath);
+    return null;
+  }
+}
+
+/**
+ * @type {string | null}
+ */
+let tmpDir = null;
+
+/**
+ * Temporary directory which is unique for the run and is removed on exit
+ * @returns {string}
+ */
+export function getTmpDir() {
+  if (!tmpDir) {
+    const dir = mkdtempSync(path.resolve(tmpdir(), `${PACKAGE_NAME}-`));
+    process.on('exit', () => {
+      rmSync(dir, { recursive: true, force: true });
+    });
+    tmpDir = dir;
+  }
+  return tmpDir;
+}
+
 /**
  * @param {string} title
  */
@@ -175,16 +258,140 @@ export function getPackageName() {
 }
 
 /**
+ * @param {string} [file] - path from global option --config
  * @returns {string}
  */
-export function getConfigFilePath() {
-  let fileYml = path.resolve(CWD, CONFIG_FILE_NAME);
+export function getConfigFilePath(file) {
+  if (file) {
+    return path.resolve(process.cwd(), file);
+  }
+  const fileYml = path.resolve(process.cwd(), CONFIG_FILE_NAME);
   if (!existsSync(fileYml)) {
-    fileYml = fileYml.replace(/yaml$/, 'yml');
+    const fileYaml = path.resolve(process.cwd(), CONFIG_FILE_NAME_A);
+    if (existsSync(fileYaml)) {
+      return fileYaml;
+    }
   }
   return fileYml;
 }
 
+/**
+ * Overlay of config file for environment, for example conhos.staging.yml
+ * @param {string} configFile
+ * @param {string} env
+ * @returns {string}
+ */
+export function getConfigOverlayFilePath(configFile, env) {
+  const fileYml = path.resolve(path.dirname(configFile), `${PACKAGE_NAME}.${env}.yml`);
+  if (!existsSync(fileYml)) {
+    return fileYml.replace(/yml$/, 'yaml');
+  }
+  return fileYml;
+}
+
+/**
+ * Deep merge of objects, arrays of source replace arrays of target and null removes the key
+ * @template {Record<string, any>} T
+ * @param {T} target
+ * @param {Record<string, any>} source
+ * @returns {T}
+ */
+export function mergeDeep(target, source) {
+  /**
+   * @type {Record<string, any>}
+   */
+  const res = { ...target };
+  Object.keys(source).forEach((key) => {
+    const value = source[key];
+    if (value === null) {
+      delete res[key];
+    } else if (
+      typeof value === 'object' &&
+      !Array.isArray(value) &&
+      typeof res[key] === 'object' &&
+      res[key] !== null &&
+      !Array.isArray(res[key])
+    ) {
+      res[key] = mergeDeep(res[key], value);
+    } else {
+      res[key] = value;
+    }
+  });
+  return /** @type {T} */ (res);
+}
+
+/**
+ * Substitute environment variables like shell does. Empty variable is the same as unset one:
+ * ${NAME:-default} takes default, ${NAME:?message} is missing, ${NAME} is replaced by empty string
+ * @param {string} text
+ * @param {Record<string, string | undefined>} env
+ * @param {{ escape?: boolean }} [options={}] - keep $$ for text which is substituted again
+ * @returns {EnvInterpolation}
+ */
+export function interpolateEnv(text, env, { escape } = {}) {
+  /**
+   * @type {EnvInterpolation}
+   */
+  const res = { value: '', used: {}, unset: [], missing: [] };
+  res.value = text.replace(ENV_VARIABLE_EXPRESSION_REGEX, (match, name, operator, word) => {
+    if (!name) {
+      return escape ? match : '$';
+    }
+    const value = env[name];
+    if (value) {
+      res.used[name] = value;
+      return value;
+    }
+    switch (operator) {
+      case ':-':
+        return word;
+      case ':?':
+        res.missing.push({ name, message: word || 'Required variable is not set' });
+        return match;
+      default:
+        if (res.unset.indexOf(name) === -1) {
+          res.unset.push(name);
+        }
+        return '';
+    }
+  });
+  return res;
+}
+
+/**
+ * Map all strings of nested objects and arrays, keys are the path from the root
+ * @template T
+ * @param {T} value
+ * @param {(str: string, keys: string[]) => string} callback
+ * @param {string[]} [keys=[]]
+ * @returns {T}
+ */
+export function mapStrings(value, callback, keys = []) {
+  if (typeof value === 'string') {
+    return /** @type {T} */ (callback(value, keys));
+  }
+  if (Array.isArray(value)) {
+    return /** @type {T} */ (
+      value.map((item, index) => mapStrings(item, callback, keys.concat(`${index}`)))
+    );
+  }
+  if (typeof value === 'object' && value !== null) {
+    /**
+     * @type {Record<string, any>}
+     */
+    const res = {};
+    Object.keys(value).forEach((key) => {
+      res[key] = mapStrings(
+        /** @type {Record<string, any>} */ (value)[key],
+        callback,
+        keys.concat(key)
+      );
+    });
+    return /** @type {T} */ (res);
+  }
+  return value;
+}
+
 /**
  * @param {string} packageName
  * @returns {string}
@@ -264,6 +471,28 @@ export async function getFile({ url, maxSize }) {
   });
 }
 
+/**
+ * Stream body of response to the file, the file is removed if download failed
+ * @param {{
+ *  url: string;
+ *  filePath: string;
+ * }} param0
+ * @returns {Promise<void>}
+ */
+export async function downloadFile({ url, filePath }) {
+  const response = await fetch(url);
+  if (!response.ok || !response.body) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  await pipeline(
+    Readable.fromWeb(/** @type {import('stream/web').ReadableStream} */ (response.body)),
+    createWriteStream(filePath)
+  ).catch((error) => {
+    rmSync(filePath, { force: true });
+    throw error;
+  });
+}
+
 /**
  * @template {keyof import('../connectors/ws.js').WSMessageDataCli} T
  * @param {string} msg
@@ -0,0 +1,155 @@
+/******************************************************************************************
+ * Repository: Conhos cli
+ * File name: metadata.js
+ * Author: Sergey Kolmiller
+ * Email: <kolserdav@conhos.ru>
+ * License: MIT
+ * License text: See LICENSE file
+ * Copyright: kolserdav, All rights reserved (c)
+ * Create Date: Mon Oct 19 2026 12:00:00 GMT+0700 (Krasnoyarsk Standard Time)
+ ******************************************************************************************/
+import { randomUUID } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { readFile, writeFile } from 'fs/promises';
+import { resolve } from 'path';
+import { METADATA_FILE_NAME, PROJECT_DIR_NAME, PROJECT_FILE_NAME } from './constants.js';
+import { console, getPackagePath } from './lib.js';
+
+/**
+ * @typedef {import('../types/interfaces.js').Metadata} Metadata
+ * @typedef {import('../types/interfaces.js').ProjectFile} ProjectFile
+ */
+
+/**
+ * File with configs of the last deploys of projects on this device
+ */
+export default class MetadataFile {
+  /**
+   * @public
+   * @returns {string}
+   */
+  getPath() {
+    return getPackagePath(METADATA_FILE_NAME);
+  }
+
+  /**
+   * @public
+   * @param {string} projectDir
+   * @returns {string}
+   */
+  getProjectFilePath(projectDir) {
+    return resolve(projectDir, PROJECT_DIR_NAME, PROJECT_FILE_NAME);
+  }
+
+  /**
+   * Id of project is kept in the file of project directory, so it is the same on every device
+   * @public
+   * @param {string} projectDir
+   * @param {boolean} [create=false] - create id when it is missing
+   * @returns {string | null}
+   */
+  getProjectId(projectDir, create = false) {
+    const projectFilePath = this.getProjectFilePath(projectDir);
+    if (existsSync(projectFilePath)) {
+      /**
+       * @type {ProjectFile | null}
+       */
+      let data = null;
+      try {
+        data = JSON.parse(readFileSync(projectFilePath).toString());
+      } catch (error) {
+        console.error('Failed to parse project file', { error, projectFilePath });
+        process.exit(1);
+      }
+      if (!data || !data.id) {
+        console.error('Project id is missing', projectFilePath);
+        process.exit(1);
+      }
+      return data.id;
+    }
+    if (!create) {
+      return null;
+    }
+
+    /**
+     * @type {ProjectFile}
+     */
+    const data = { id: randomUUID() };
+    mkdirSync(resolve(projectDir, PROJECT_DIR_NAME), { recursive: true });
+    writeFileSync(projectFilePath, `${JSON.stringify(data, null, 2)}\n`);
+    console.info('Project id is created, commit the file to keep it', projectFilePath);
+    return data.id;
+  }
+
+  /**
+   * Environments of one project are different projects.
+   * Directory is the key of project which has not id yet
+   * @public
+   * @param {string} projectDir
+   * @param {string} [env]
+   * @param {boolean} [create=false] - create id of project when it is missing
+   * @returns {string}
+   */
+  getKey(projectDir, env, create = false) {
+    const id = this.getProjectId(projectDir, create) || projectDir;
+    return env ? `${id}:${env}` : id;
+  }
+
+  /**
+   * Entry of the old format which is keyed by directory is moved to the key of project id
+   * @public
+   * @param {Metadata} metadata
+   * @param {string} projectDir
+   * @param {string} [env]
+   * @returns {Metadata}
+   */
+  migrate(metadata, projectDir, env) {
+    const oldKey = env ? `${projectDir}:${env}` : projectDir;
+    const key = this.getKey(projectDir, env);
+    const project = metadata.projects[oldKey];
+    if (key === oldKey || !project || metadata.projects[key]) {
+      return metadata;
+    }
+    const projects = { ...metadata.projects, [key]: project };
+    delete projects[oldKey];
+    console.info('Metadata of project is moved to project id', `${oldKey} -> ${key}`);
+    return { ...metadata, projects };
+  }
+
+  /**
+   * @public
+   * @returns {Promise<Metadata | null>}
+   */
+  async read() {
+    const metadataFilePath = this.getPath();
+    if (!existsSync(metadataFilePath)) {
+      return null;
+    }
+    const res = await readFile(metadataFilePath).catch((error) => {
+      console.error('Failed to read metadata file', error);
+    });
+    if (!res) {
+      return null;
+    }
+    /**
+     * @type {Metadata | null}
+     */
+    let data = null;
+    try {
+      data = JSON.parse(res.toString());
+    } catch (error) {
+      console.error('Failed to parse metadata file', { error, metadataFilePath });
+    }
+    return data;
+  }
+
+  /**
+   * @public
+   * @param {Metadata} data
+   */
+  async write(data) {
+    await writeFile(this.getPath(), JSON.stringify(data)).catch((error) => {
+      console.error('Failed to write metadata file', error);
+    });
+  }
+}
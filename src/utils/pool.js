@@ -0,0 +1,63 @@
+/******************************************************************************************
+ * Repository: Conhos cli
+ * File name: pool.js
+ * Author: Sergey Kolmiller
+ * Email: <kolserdav@conhos.ru>
+ * License: MIT
+ * License text: See LICENSE file
+ * Copyright: kolserdav, All rights reserved (c)
+ * Create Date: Mon Oct 19 2026 12:00:00 GMT+0700 (Krasnoyarsk Standard Time)
+ ******************************************************************************************/
+export default class Pool {
+  /**
+   * @private
+   * @type {number}
+   */
+  concurrency;
+
+  /**
+   * @private
+   */
+  running = 0;
+
+  /**
+   * @private
+   * @type {(() => void)[]}
+   */
+  queue = [];
+
+  /**
+   * @param {number} concurrency
+   */
+  constructor(concurrency) {
+    this.concurrency = Math.max(concurrency, 1);
+  }
+
+  /**
+   * Run the function when one of the pool slots is free
+   * @public
+   * @template T
+   * @param {() => Promise<T>} fn
+   * @returns {Promise<T>}
+   */
+  async run(fn) {
+    if (this.running >= this.concurrency) {
+      // The slot is passed from the finished function
+      await new Promise((resolve) => {
+        this.queue.push(() => resolve(0));
+      });
+    } else {
+      this.running++;
+    }
+    try {
+      return await fn();
+    } finally {
+      const next = this.queue.shift();
+      if (next) {
+        next();
+      } else {
+        this.running--;
+      }
+    }
+  }
+}
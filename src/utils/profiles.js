@@ -0,0 +1,141 @@
+/******************************************************************************************
+ * Repository: Conhos cli
+ * File name: profiles.js
+ * Author: Sergey Kolmiller
+ * Email: <kolserdav@conhos.ru>
+ * License: MIT
+ * License text: See LICENSE file
+ * Copyright: kolserdav, All rights reserved (c)
+ * Create Date: Mon Oct 19 2026 12:00:00 GMT+0700 (Krasnoyarsk Standard Time)
+ ******************************************************************************************/
+import { existsSync, mkdirSync, readdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+import {
+  PROFILE_DEFAULT,
+  PROFILE_ENV_NAME,
+  PROFILE_FILE_NAME,
+  PROFILE_NAME_REGEX,
+  PROFILES_DIR_NAME,
+  SESSION_FILE_NAME,
+} from './constants.js';
+import { console, getPackagePath } from './lib.js';
+
+/**
+ * @typedef {import('../connectors/ws.js').Session} Session
+ */
+
+/**
+ * Login profiles, every profile has own session token
+ */
+export default class Profiles {
+  /**
+   * Profile of option, then of environment variable, then of "profile use", then default one
+   * @public
+   * @param {string} [option]
+   * @returns {string}
+   */
+  getName(option) {
+    const name = option || process.env[PROFILE_ENV_NAME] || this.getActive();
+    if (!PROFILE_NAME_REGEX.test(name)) {
+      console.error(`Profile name must match ${PROFILE_NAME_REGEX}`, name);
+      process.exit(1);
+    }
+    return name;
+  }
+
+  /**
+   * @public
+   * @returns {string}
+   */
+  getActive() {
+    const profileFilePath = getPackagePath(PROFILE_FILE_NAME);
+    if (!existsSync(profileFilePath)) {
+      return PROFILE_DEFAULT;
+    }
+    return readFileSync(profileFilePath).toString().trim() || PROFILE_DEFAULT;
+  }
+
+  /**
+   * @public
+   * @param {string} name
+   */
+  setActive(name) {
+    const profileFilePath = getPackagePath(PROFILE_FILE_NAME);
+    if (name === PROFILE_DEFAULT) {
+      rmSync(profileFilePath, { force: true });
+      return;
+    }
+    writeFileSync(profileFilePath, name);
+  }
+
+  /**
+   * @public
+   * @param {string} name
+   * @returns {string}
+   */
+  getSessionFilePath(name) {
+    return name === PROFILE_DEFAULT
+      ? getPackagePath(SESSION_FILE_NAME)
+      : getPackagePath(`${PROFILES_DIR_NAME}/${name}/${SESSION_FILE_NAME}`);
+  }
+
+  /**
+   * @public
+   * @param {string} name
+   * @returns {Session | null}
+   */
+  readSession(name) {
+    const sessionFilePath = this.getSessionFilePath(name);
+    if (!existsSync(sessionFilePath)) {
+      return null;
+    }
+    return JSON.parse(readFileSync(sessionFilePath).toString());
+  }
+
+  /**
+   * @public
+   * @param {string} name
+   * @param {Session} session
+   * @returns {string} path of session file
+   */
+  writeSession(name, session) {
+    const sessionFilePath = this.getSessionFilePath(name);
+    mkdirSync(dirname(sessionFilePath), { recursive: true });
+    writeFileSync(sessionFilePath, JSON.stringify(session));
+    return sessionFilePath;
+  }
+
+  /**
+   * @public
+   * @param {string} name
+   * @returns {boolean} session existed
+   */
+  removeSession(name) {
+    const sessionFilePath = this.getSessionFilePath(name);
+    if (!existsSync(sessionFilePath)) {
+      return false;
+    }
+    rmSync(name === PROFILE_DEFAULT ? sessionFilePath : dirname(sessionFilePath), {
+      recursive: true,
+    });
+    if (this.getActive() === name) {
+      this.setActive(PROFILE_DEFAULT);
+    }
+    return true;
+  }
+
+  /**
+   * Profiles which have session
+   * @public
+   * @returns {string[]}
+   */
+  list() {
+    const profilesPath = getPackagePath(PROFILES_DIR_NAME);
+    const names = existsSync(profilesPath)
+      ? readdirSync(profilesPath).filter((item) => item !== PROFILE_DEFAULT)
+      : [];
+    return [PROFILE_DEFAULT]
+      .concat(names.sort())
+      .filter((item) => existsSync(this.getSessionFilePath(item)));
+  }
+}
@@ -0,0 +1,84 @@
+/******************************************************************************************
+ * Repository: Conhos cli
+ * File name: progress.js
+ * Author: Sergey Kolmiller
+ * Email: <kolserdav@conhos.ru>
+ * License: MIT
+ * License text: See LICENSE file
+ * Copyright: kolserdav, All rights reserved (c)
+ * Create Date: Mon Oct 19 2026 12:00:00 GMT+0700 (Krasnoyarsk Standard Time)
+ ******************************************************************************************/
+/**
+ * Multi-line progress output, one line for each key.
+ * It is drawn on stderr with logs, so the output of command on stdout is not mixed with it
+ */
+export default class Progress {
+  /**
+   * @private
+   */
+  stream = process.stderr;
+
+  /**
+   * @private
+   * @type {Map<string, string>}
+   */
+  lines = new Map();
+
+  /**
+   * @private
+   */
+  rendered = 0;
+
+  /**
+   * @public
+   * @param {string} key
+   * @param {string} text
+   */
+  update(key, text) {
+    this.clear();
+    this.lines.set(key, text);
+    this.render();
+  }
+
+  /**
+   * @public
+   * @param {string} key
+   */
+  remove(key) {
+    this.clear();
+    this.lines.delete(key);
+    this.render();
+  }
+
+  /**
+   * Remove lines from the screen, it must be called before any other output
+   * @public
+   */
+  clear() {
+    if (this.rendered && this.stream.isTTY) {
+      this.stream.moveCursor(0, -this.rendered);
+      this.stream.cursorTo(0);
+      this.stream.clearScreenDown();
+    }
+    this.rendered = 0;
+  }
+
+  /**
+   * @private
+   */
+  render() {
+    if (!this.stream.isTTY) {
+      return;
+    }
+    const { columns } = this.stream;
+    this.lines.forEach((text) => {
+      let output = text;
+      if (output.length > columns) {
+        output = output.substring(0, columns > 4 ? columns - 4 : columns);
+        output += ' ...';
+      }
+      this.stream.write(`${output}\n`);
+    });
+    this.rendered = this.lines.size;
+  }
+}
@@ -0,0 +1,289 @@
+/******************************************************************************************
+ * Repository: Conhos cli
+ * File name: release.js
+ * Author: Sergey Kolmiller
+ * Email: <kolserdav@conhos.ru>
+ * License: MIT
+ * License text: See LICENSE file
+ * Copyright: kolserdav, All rights reserved (c)
+ * Create Date: Mon Oct 19 2026 12:00:00 GMT+0700 (Krasnoyarsk Standard Time)
+ ******************************************************************************************/
+import { execFileSync } from 'child_process';
+import { copyFileSync, existsSync, linkSync, mkdirSync, readdirSync, rmSync } from 'fs';
+import { readFile, writeFile } from 'fs/promises';
+import { resolve } from 'path';
+import { create, extract } from 'tar';
+import {
+  PACKAGE_VERSION,
+  RELEASE_FILE_NAME,
+  RELEASES_DIR_NAME,
+  RELEASES_MAX,
+} from './constants.js';
+import Crypto from './crypto.js';
+import { console, getPackagePath } from './lib.js';
+
+/**
+ * @typedef {import('conhos-vscode').ConfigFile} ConfigFile
+ * @typedef {import('conhos-vscode').Volumes} Volumes
+ * @typedef {import('../types/interfaces.js').CacheItemHashed} CacheItemHashed
+ * @typedef {import('../types/interfaces.js').ReleaseData} ReleaseData
+ */
+
+const crypto = new Crypto();
+
+export default class Release {
+  /**
+   * @public
+   * @param {string} project
+   * @param {string} [id='']
+   * @returns {string}
+   */
+  getPath(project, id = '') {
+    return getPackagePath(`${project}/${RELEASES_DIR_NAME}/${id}`);
+  }
+
+  /**
+   * Save release with file sets of services.
+   * Services which were not uploaded or not changed keep the file set of the previous release
+   * @public
+   * @param {{
+   *  project: string;
+   *  config: ConfigFile;
+   *  configText: string;
+   *  volumes: Volumes;
+   *  manifest: Record<string, CacheItemHashed[]>;
+   *  dirs: Record<string, string>;
+   *  cwd: string;
+   * }} param0
+   * @returns {Promise<ReleaseData>}
+   */
+  async create({ project, config, configText, volumes, manifest, dirs, cwd }) {
+    const timestamp = Date.now();
+    const time = new Date(timestamp).toISOString().replace(/[-:.]/g, '');
+    // Existing release is not overwritten by release which is saved at the same time
+    let id = time;
+    for (let i = 1; existsSync(this.getPath(project, id)); i++) {
+      id = `${time}-${i}`;
+    }
+    const releasePath = this.getPath(project, id);
+    mkdirSync(releasePath, { recursive: true });
+
+    const [previous] = await this.list(project);
+    /**
+     * @type {Record<string, string>}
+     */
+    const hashes = {};
+    const services = Object.keys(manifest);
+    for (let i = 0; services[i]; i++) {
+      const service = services[i];
+      hashes[service] = this.getManifestHash({ [service]: manifest[service] });
+      const files = manifest[service]
+        .filter((item) => !item.isDir)
+        .map((item) => item.pathRel)
+        .sort();
+      if (files.length === 0) {
+        continue;
+      }
+      if (
+        previous?.hashes?.[service] === hashes[service] &&
+        this.linkTarball(project, previous.id, id, service)
+      ) {
+        continue;
+      }
+      await create(
+        { gzip: true, cwd: dirs[service], file: this.getTarballPath(project, id, service) },
+        files
+      );
+    }
+
+    if (previous) {
+      previous.services.forEach((item) => {
+        if (manifest[item]) {
+          return;
+        }
+        if (this.linkTarball(project, previous.id, id, item)) {
+          services.push(item);
+          if (previous.hashes?.[item]) {
+            hashes[item] = previous.hashes[item];
+          }
+        }
+      });
+    }
+
+    /**
+     * @type {ReleaseData}
+     */
+    const release = {
+      id,
+      timestamp,
+      version: PACKAGE_VERSION,
+      commit: this.getCommit(cwd),
+      manifestHash: this.getManifestHash(manifest),
+      hashes,
+      services,
+      config,
+      configText,
+      volumes,
+    };
+    await writeFile(resolve(releasePath, RELEASE_FILE_NAME), JSON.stringify(release, null, 2));
+
+    this.prune(project);
+    return release;
+  }
+
+  /**
+   * Releases from the newest to the oldest
+   * @public
+   * @param {string} project
+   * @returns {Promise<ReleaseData[]>}
+   */
+  async list(project) {
+    const releasesPath = this.getPath(project);
+    if (!existsSync(releasesPath)) {
+      return [];
+    }
+    /**
+     * @type {ReleaseData[]}
+     */
+    const res = [];
+    const dir = readdirSync(releasesPath).sort().reverse();
+    for (let i = 0; dir[i]; i++) {
+      const release = await this.read(project, dir[i]);
+      if (release) {
+        res.push(release);
+      }
+    }
+    return res;
+  }
+
+  /**
+   * @public
+   * @param {string} project
+   * @param {string} id
+   * @returns {Promise<ReleaseData | null>}
+   */
+  async read(project, id) {
+    const releaseFilePath = resolve(this.getPath(project, id), RELEASE_FILE_NAME);
+    if (!existsSync(releaseFilePath)) {
+      return null;
+    }
+    const data = await readFile(releaseFilePath);
+    try {
+      return JSON.parse(data.toString());
+    } catch (e) {
+      console.warn('Failed to parse release file', releaseFilePath);
+      return null;
+    }
+  }
+
+  /**
+   * @public
+   * @param {{
+   *  project: string;
+   *  id: string;
+   *  service: string;
+   *  cwd: string;
+   * }} param0
+   * @returns {Promise<boolean>}
+   */
+  async extract({ project, id, service, cwd }) {
+    const tarballPath = this.getTarballPath(project, id, service);
+    if (!existsSync(tarballPath)) {
+      return false;
+    }
+    mkdirSync(cwd, { recursive: true });
+    await extract({ file: tarballPath, cwd });
+    return true;
+  }
+
+  /**
+   * @private
+   * @param {string} project
+   * @param {string} id
+   * @param {string} service
+   */
+  getTarballPath(project, id, service) {
+    return resolve(this.getPath(project, id), `${service}.tgz`);
+  }
+
+  /**
+   * Tarball of the previous release is linked, so unchanged files are stored once,
+   * it is copied when file system does not support links
+   * @private
+   * @param {string} project
+   * @param {string} previousId
+   * @param {string} id
+   * @param {string} service
+   * @returns {boolean} - false if tarball is not linked or copied
+   */
+  linkTarball(project, previousId, id, service) {
+    const tarballPath = this.getTarballPath(project, previousId, service);
+    if (!existsSync(tarballPath)) {
+      return false;
+    }
+    const targetPath = this.getTarballPath(project, id, service);
+    try {
+      linkSync(tarballPath, targetPath);
+    } catch (e) {
+      try {
+        copyFileSync(tarballPath, targetPath);
+      } catch (err) {
+        console.warn('Failed to copy tarball of previous release', { tarballPath, err });
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * @private
+   * @param {Record<string, CacheItemHashed[]>} manifest
+   * @returns {string}
+   */
+  getManifestHash(manifest) {
+    /**
+     * @type {string[]}
+     */
+    const files = [];
+    Object.keys(manifest).forEach((service) => {
+      manifest[service].forEach((item) => {
+        if (!item.isDir) {
+          files.push(`${service}:${item.pathRel}:${item.hash || item.size}`);
+        }
+      });
+    });
+    files.sort();
+    return crypto.createBufferHash(Buffer.from(files.join('\n')));
+  }
+
+  /**
+   * @private
+   * @param {string} cwd
+   * @returns {string | null}
+   */
+  getCommit(cwd) {
+    try {
+      return execFileSync('git', ['rev-parse', 'HEAD'], {
+        cwd,
+        stdio: ['ignore', 'pipe', 'ignore'],
+      })
+        .toString()
+        .trim();
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} project
+   */
+  prune(project) {
+    const releasesPath = this.getPath(project);
+    const dir = readdirSync(releasesPath).sort().reverse();
+    dir.slice(RELEASES_MAX).forEach((item) => {
+      console.info('Remove old release', item);
+      rmSync(resolve(releasesPath, item), { recursive: true, force: true });
+    });
+  }
+}
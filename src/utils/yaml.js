@@ -8,11 +8,24 @@
  * Copyright: kolserdav, All rights reserved (c)
  * Create Date: Sun Sep 01 2024 13:12:51 GMT+0700 (Krasnoyarsk Standard Time)
  ******************************************************************************************/
-import { parse, stringify } from 'yaml';
+import {
+  isAlias,
+  isMap,
+  isNode,
+  isScalar,
+  isSeq,
+  LineCounter,
+  parse,
+  parseDocument,
+  stringify,
+  YAMLParseError,
+} from 'yaml';
 import { console } from './lib.js';
 
 /**
  * @typedef {import('conhos-vscode').ConfigFile} ConfigFile
+ * @typedef {import('conhos-vscode').CheckConfigResult} CheckConfigResult
+ * @typedef {import('yaml').Document} Document
  */
 
 export default class Yaml {
@@ -35,11 +48,202 @@ export default class Yaml {
   }
 
   /**
+   * Error of parsing with zero based position like positions of config checks
    * @public
-   * @param {ConfigFile} data
+   * @param {string} data
+   * @returns {{ message: string; position: CheckConfigResult['position'] } | null}
+   */
+  getParseError(data) {
+    try {
+      parse(data);
+    } catch (err) {
+      if (!(err instanceof YAMLParseError)) {
+        throw err;
+      }
+      const [start, end = start] = err.linePos || [{ line: 1, col: 1 }];
+      return {
+        message: err.message.split('\n')[0],
+        position: {
+          lineStart: start.line - 1,
+          lineEnd: end.line - 1,
+          columnStart: start.col - 1,
+          columnEnd: end.col - 1,
+        },
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Zero based position of node by path like positions of config checks.
+   * The nearest parent is used when the node is missing
+   * @public
+   * @param {string} data
+   * @param {(string | number)[]} path
+   * @returns {CheckConfigResult['position']}
+   */
+  getPosition(data, path) {
+    const lineCounter = new LineCounter();
+    const doc = parseDocument(data, { lineCounter });
+    for (let i = path.length; i >= 0; i--) {
+      const node = doc.getIn(path.slice(0, i), true);
+      if (isNode(node) && node.range) {
+        const start = lineCounter.linePos(node.range[0]);
+        const end = lineCounter.linePos(node.range[1]);
+        return {
+          lineStart: start.line - 1,
+          lineEnd: end.line - 1,
+          columnStart: start.col - 1,
+          columnEnd: end.col - 1,
+        };
+      }
+    }
+    return { lineStart: 0, lineEnd: 0, columnStart: 0, columnEnd: 0 };
+  }
+
+  /**
+   * Path of the deepest node at zero based position, it is reverse of getPosition
+   * @public
+   * @param {string} data
+   * @param {CheckConfigResult['position']} position
+   * @returns {(string | number)[]}
+   */
+  getPathAt(data, { lineStart, columnStart }) {
+    const lineCounter = new LineCounter();
+    const doc = parseDocument(data, { lineCounter });
+    const offset = (lineCounter.lineStarts[lineStart] ?? data.length) + columnStart;
+    /**
+     * @param {unknown} node
+     */
+    const contains = (node) =>
+      isNode(node) && !!node.range && offset >= node.range[0] && offset < node.range[2];
+
+    /**
+     * @type {(string | number)[]}
+     */
+    const path = [];
+    let node = doc.contents;
+    while (node) {
+      if (isMap(node)) {
+        const pair = node.items.find((item) => contains(item.key) || contains(item.value));
+        if (!pair) {
+          break;
+        }
+        path.push(isScalar(pair.key) ? /** @type {string} */ (pair.key.value) : String(pair.key));
+        node = /** @type {typeof node} */ (pair.value);
+      } else if (isSeq(node)) {
+        const index = node.items.findIndex((item) => contains(item));
+        if (index === -1) {
+          break;
+        }
+        path.push(index);
+        node = /** @type {typeof node} */ (node.items[index]);
+      } else {
+        break;
+      }
+    }
+    return path;
+  }
+
+  /**
+   * @public
+   * @param {ConfigFile | Record<string, any>} data
    * @return {string}
    */
   stringify(data) {
     return stringify(data);
   }
+
+  /**
+   * Apply config to the text of config file. Unchanged nodes are kept with their comments,
+   * blank lines and anchors, so only changed values are rewritten
+   * @public
+   * @param {string} data
+   * @param {ConfigFile} config
+   * @returns {string}
+   */
+  update(data, config) {
+    const doc = parseDocument(data);
+    if (doc.errors.length || !isMap(doc.contents)) {
+      return this.stringify(config);
+    }
+    this.updateNode(doc, doc.contents, config);
+    return doc.toString();
+  }
+
+  /**
+   * @private
+   * @param {Document} doc
+   * @param {unknown} node
+   * @param {unknown} value
+   * @returns {unknown}
+   */
+  updateNode(doc, node, value) {
+    if (isAlias(node)) {
+      // Anchored node is shared with other aliases, so a changed alias is replaced with value
+      const source = node.resolve(doc);
+      return source && this.isEqual(source.toJS(doc), value) ? node : doc.createNode(value);
+    }
+
+    if (isMap(node) && value && typeof value === 'object' && !Array.isArray(value)) {
+      const _value = /** @type {Record<string, unknown>} */ (value);
+      node.items
+        .filter((item) => _value[this.getKey(item.key)] === undefined)
+        .forEach((item) => {
+          node.delete(item.key);
+        });
+      Object.keys(_value).forEach((key) => {
+        if (_value[key] === undefined) {
+          return;
+        }
+        const pair = node.items.find((item) => this.getKey(item.key) === key);
+        if (pair) {
+          pair.value = this.updateNode(doc, pair.value, _value[key]);
+        } else {
+          node.items.push(doc.createPair(key, _value[key]));
+        }
+      });
+      return node;
+    }
+
+    if (isSeq(node) && Array.isArray(value)) {
+      node.items.splice(value.length);
+      value.forEach((item, index) => {
+        if (index < node.items.length) {
+          node.set(index, this.updateNode(doc, node.items[index], item));
+        } else {
+          node.add(doc.createNode(item));
+        }
+      });
+      return node;
+    }
+
+    if (
+      isScalar(node) &&
+      (value === null || node.value === null || typeof node.value === typeof value)
+    ) {
+      return Object.assign(node, { value });
+    }
+
+    return doc.createNode(value);
+  }
+
+  /**
+   * @private
+   * @param {unknown} key
+   * @returns {string}
+   */
+  getKey(key) {
+    return `${isScalar(key) ? key.value : key}`;
+  }
+
+  /**
+   * @private
+   * @param {unknown} a
+   * @param {unknown} b
+   * @returns {boolean}
+   */
+  isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
 }
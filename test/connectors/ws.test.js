@@ -0,0 +1,72 @@
+import { after, afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { resolve } from 'path';
+
+// Package data dir is taken from home directory when modules are loaded
+const home = mkdtempSync(resolve(tmpdir(), 'conhos-test-'));
+process.env.HOME = home;
+const { default: WS } = await import('../../src/connectors/ws.js');
+const { TOKEN_ENV_NAME } = await import('../../src/utils/constants.js');
+
+const tokenFile = resolve(home, 'token');
+
+/**
+ * Session without connection to the cloud which checks the token instead of sending it
+ * @param {Record<string, any>} options
+ */
+const listenSetSocket = async (options) => {
+  /**
+   * @type {string[]}
+   */
+  const checked = [];
+  const ws = Object.create(WS.prototype);
+  Object.assign(ws, {
+    options,
+    profile: 'default',
+    readSessionFile: () => ({ uid: 'user', iv: '', content: 'profile-token' }),
+    sendCheckToken: (/** @type {string} */ token) => {
+      checked.push(token);
+    },
+  });
+  await ws.listenSetSocket({ connId: 'conn', data: { deployData: null } });
+  return checked;
+};
+
+describe('WS', () => {
+  const env = process.env[TOKEN_ENV_NAME];
+
+  afterEach(() => {
+    if (env === undefined) {
+      delete process.env[TOKEN_ENV_NAME];
+    } else {
+      process.env[TOKEN_ENV_NAME] = env;
+    }
+  });
+
+  after(() => {
+    rmSync(home, { recursive: true, force: true });
+  });
+
+  it('uses token of file before token of environment variable', async () => {
+    writeFileSync(tokenFile, 'file-token\n');
+    process.env[TOKEN_ENV_NAME] = 'env-token';
+    assert.deepEqual(await listenSetSocket({ tokenFile }), ['file-token']);
+  });
+
+  it('uses token of environment variable before token of profile', async () => {
+    process.env[TOKEN_ENV_NAME] = ' env-token ';
+    assert.deepEqual(await listenSetSocket({}), ['env-token']);
+  });
+
+  it('uses token of profile without token of option', async () => {
+    delete process.env[TOKEN_ENV_NAME];
+    assert.deepEqual(await listenSetSocket({}), ['profile-token']);
+  });
+
+  it('uses token of profile on login', async () => {
+    process.env[TOKEN_ENV_NAME] = 'env-token';
+    assert.deepEqual(await listenSetSocket({ isLogin: true, tokenFile }), ['profile-token']);
+  });
+});
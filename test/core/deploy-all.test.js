@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import DeployAll from '../../src/core/deploy-all.js';
+
+/**
+ * Instance which does not start deploy
+ * @type {any}
+ */
+const deployAll = Object.create(DeployAll.prototype);
+
+/**
+ * @param {string} name
+ * @param {string[]} [dependsOn=[]]
+ */
+const createProject = (name, dependsOn = []) => ({
+  name,
+  dir: name,
+  configFile: `${name}/conhos.yml`,
+  dependsOn,
+});
+
+/**
+ * @param {{ name: string }[]} projects
+ */
+const getNames = (projects) => projects.map(({ name }) => name);
+
+describe('DeployAll', () => {
+  it('deploys dependencies before dependent projects and keeps order of search', () => {
+    const projects = [
+      createProject('web', ['api']),
+      createProject('docs'),
+      createProject('api', ['db']),
+      createProject('db'),
+    ];
+    assert.deepEqual(getNames(deployAll.sortProjects(projects, projects)), [
+      'db',
+      'api',
+      'web',
+      'docs',
+    ]);
+  });
+
+  it('skips dependency which is excluded by filter', () => {
+    const found = [createProject('web', ['api']), createProject('api')];
+    assert.deepEqual(getNames(deployAll.sortProjects([found[0]], found)), ['web']);
+  });
+
+  it('exits on cycle of dependencies', () => {
+    const projects = [createProject('web', ['api']), createProject('api', ['web'])];
+    const { exit } = process;
+    /**
+     * @type {number | undefined}
+     */
+    let code;
+    process.exit = /** @type {any} */ (
+      (/** @type {number} */ _code) => {
+        code = _code;
+        throw new Error('exit');
+      }
+    );
+    assert.throws(() => deployAll.sortProjects(projects, projects), { message: 'exit' });
+    process.exit = exit;
+    assert.equal(code, 1);
+  });
+});
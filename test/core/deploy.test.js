@@ -0,0 +1,244 @@
+import { after, before, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { existsSync, mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { createServer } from 'http';
+import { tmpdir } from 'os';
+import { resolve } from 'path';
+
+// Package data dir is taken from home directory when modules are loaded
+const home = mkdtempSync(resolve(tmpdir(), 'conhos-test-'));
+process.env.HOME = home;
+const { default: Deploy } = await import('../../src/core/deploy.js');
+const { default: Yaml } = await import('../../src/utils/yaml.js');
+const { BACKUP_TIMEOUT } = await import('../../src/utils/constants.js');
+
+const yaml = new Yaml();
+
+const projectDir = resolve(home, 'project');
+const configFile = resolve(projectDir, 'conhos.yml');
+
+/**
+ * @param {string} image
+ */
+const getConfig = (image) => ({
+  name: 'test',
+  services: {
+    db: { image, size: 'pico', active: true, version: 'latest' },
+    web: { image: 'node', size: 'pico', active: true, version: 'latest', pwd: '.' },
+  },
+});
+
+/**
+ * Deploy over a fake session which messages are captured instead of sending,
+ * the cloud answers to backup with the url
+ * @param {Record<string, any>} options
+ * @param {string | null} [backupUrl=null]
+ */
+const createDeploy = (options, backupUrl = null) => {
+  const session = /** @type {any} */ ({
+    userId: 'user',
+    conn: new EventEmitter(),
+    token: 'token',
+    profile: 'default',
+    package: { version: '0.0.0' },
+    connId: 'conn',
+    deployData: null,
+  });
+  const deploy = /** @type {any} */ (
+    new Deploy({ config: configFile, interractive: true, ...options }, [], session)
+  );
+  /**
+   * @type {any[]}
+   */
+  const sent = [];
+  deploy.sendMessage = (msg) => {
+    sent.push(msg);
+    if (msg.type === 'serviceBackupServer') {
+      const { service } = msg.data;
+      session.conn.emit(
+        'message',
+        JSON.stringify({
+          type: 'serviceBackupCli',
+          status: 'info',
+          data: { service, url: backupUrl },
+        })
+      );
+    }
+  };
+  return { deploy, sent };
+};
+
+describe('Deploy', () => {
+  before(() => {
+    mkdirSync(resolve(home, '.conhos'), { recursive: true });
+    mkdirSync(projectDir, { recursive: true });
+  });
+
+  after(() => {
+    rmSync(home, { recursive: true, force: true });
+  });
+
+  it('deploys other services when image of one service is migrated', async () => {
+    const config = getConfig('mysql');
+    const configText = yaml.stringify(config);
+    writeFileSync(configFile, configText);
+    writeFileSync(
+      resolve(home, '.conhos', 'metadata'),
+      JSON.stringify({ projects: { [projectDir]: getConfig('mariadb') } })
+    );
+
+    const { deploy, sent } = createDeploy({});
+    deploy.config = config;
+    deploy.configText = configText;
+    deploy.project = config.name;
+    deploy.confirmMigration = async () => true;
+    deploy.backupService = async () => resolve(home, 'backup.tgz');
+
+    await deploy.handler({ failedLogin: false, sessionExists: true });
+
+    assert.deepEqual(deploy.migratedServices, ['db']);
+    assert.deepEqual(deploy.targetServices, ['web']);
+    const prepare = sent.find(({ type }) => type === 'prepareDeployServer');
+    assert.ok(prepare);
+    assert.deepEqual(Object.keys(prepare.data.config.services), ['web']);
+
+    // Services of config file are read after deploy is finished
+    await deploy.afterDeploy();
+  });
+
+  it('plans dry run without sending deploy to the cloud', async () => {
+    const config = getConfig('mysql');
+    const configText = yaml.stringify(config);
+    writeFileSync(configFile, configText);
+    writeFileSync(resolve(projectDir, 'index.js'), 'console.log(1);\n');
+    const deployed = getConfig('mysql');
+    deployed.services.web.size = 'nano';
+    writeFileSync(
+      resolve(home, '.conhos', 'metadata'),
+      JSON.stringify({ projects: { [projectDir]: deployed } })
+    );
+
+    const { deploy, sent } = createDeploy({ dryRun: true });
+    deploy.config = config;
+    deploy.configText = configText;
+    deploy.project = config.name;
+    deploy.printPlan = () => {};
+    /**
+     * @type {number | undefined}
+     */
+    let code;
+    deploy.onExit = (/** @type {number} */ _code) => {
+      code = _code;
+    };
+
+    await deploy.handler({ failedLogin: false, sessionExists: true });
+
+    assert.equal(code, 0);
+    assert.equal(
+      sent.find(({ type }) => type === 'prepareDeployServer'),
+      undefined
+    );
+    assert.equal(deploy.plan.services.db.status, 'unchanged');
+    assert.equal(deploy.plan.services.web.status, 'changed');
+    assert.ok(deploy.plan.services.web.upload.indexOf('index.js') !== -1);
+  });
+
+  it('keeps services which are not selected as they were deployed', async () => {
+    const config = getConfig('mysql');
+    config.services.web.size = 'nano';
+    const configText = yaml.stringify(config);
+    writeFileSync(configFile, configText);
+    writeFileSync(
+      resolve(home, '.conhos', 'metadata'),
+      JSON.stringify({ projects: { [projectDir]: getConfig('mysql') } })
+    );
+
+    const { deploy, sent } = createDeploy({});
+    deploy.serviceNames = ['db'];
+    deploy.config = config;
+    deploy.configText = configText;
+    deploy.project = config.name;
+
+    await deploy.handler({ failedLogin: false, sessionExists: true });
+
+    const prepare = sent.find(({ type }) => type === 'prepareDeployServer');
+    assert.ok(prepare);
+    assert.equal(prepare.data.config.services.web.size, 'pico');
+    // Text of config is resolved from the same config
+    assert.deepEqual(yaml.parse(prepare.data.configText), prepare.data.config);
+
+    await deploy.prepareUpload({
+      data: { service: 'web', exclude: [], pwd: '.', active: true, cache: [] },
+    });
+    const end = sent.find(({ type }) => type === 'deployEndServer');
+    assert.ok(end);
+    assert.deepEqual(
+      { service: end.data.service, skip: end.data.skip, last: end.data.last },
+      { service: 'web', skip: true, last: true }
+    );
+  });
+
+  it('downloads backup of service from url of the cloud', async () => {
+    const server = createServer((_, res) => {
+      res.end('data of service');
+    });
+    await new Promise((_resolve) => {
+      server.listen(0, () => _resolve(null));
+    });
+    const address = /** @type {import('net').AddressInfo} */ (server.address());
+
+    const { deploy, sent } = createDeploy({}, `http://localhost:${address.port}/backup`);
+    deploy.project = 'test';
+    const backup = await deploy.backupService('db');
+    server.close();
+
+    assert.deepEqual(sent[0].data, { project: 'test', service: 'db' });
+    assert.ok(backup);
+    assert.equal(readFileSync(backup).toString(), 'data of service');
+  });
+
+  it('does not back up service when the cloud failed to export it', async () => {
+    const { deploy } = createDeploy({});
+    deploy.project = 'test';
+    assert.equal(await deploy.backupService('db'), null);
+  });
+
+  it('does not back up service when the cloud does not answer', async () => {
+    const { deploy } = createDeploy({});
+    deploy.project = 'test';
+    deploy.sendMessage = () => {};
+    mock.timers.enable({ apis: ['setTimeout'] });
+    const backup = deploy.backupService('db');
+    mock.timers.tick(BACKUP_TIMEOUT);
+    mock.timers.reset();
+    assert.equal(await backup, null);
+    assert.deepEqual(deploy.backupWaiters, {});
+  });
+
+  it('aborts migration when backup failed', async () => {
+    const config = getConfig('mysql');
+    const { deploy } = createDeploy({});
+    deploy.config = config;
+    deploy.project = config.name;
+    deploy.confirmMigration = async () => true;
+    deploy.backupService = async () => null;
+
+    const { exit } = process;
+    /**
+     * @type {number | undefined}
+     */
+    let code;
+    process.exit = /** @type {any} */ (
+      (/** @type {number} */ _code) => {
+        code = _code;
+        throw new Error('exit');
+      }
+    );
+    await assert.rejects(deploy.checkChangeImage({ metadataProject: getConfig('mariadb') }));
+    process.exit = exit;
+    assert.equal(code, 1);
+    assert.deepEqual(deploy.migratedServices, []);
+    assert.ok(existsSync(configFile));
+  });
+});
@@ -0,0 +1,82 @@
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { resolve } from 'path';
+
+// Package data dir is taken from home directory when modules are loaded
+const home = mkdtempSync(resolve(tmpdir(), 'conhos-test-'));
+process.env.HOME = home;
+const { default: Deploy } = await import('../../src/core/deploy.js');
+const { default: Rollback } = await import('../../src/core/rollback.js');
+
+const releaseDir = resolve(home, 'release');
+// Deploy takes files from the same directory
+const configFile = resolve(releaseDir, 'conhos.yml');
+
+/**
+ * Instance without connection to the cloud
+ * @param {typeof Deploy} Class
+ * @returns {any}
+ */
+const create = (Class) => {
+  const deploy = Object.create(Class.prototype);
+  Object.assign(deploy, {
+    options: {},
+    configFile,
+    project: 'test',
+    cacheFilePath: {},
+    releaseDirs: { web: releaseDir },
+  });
+  deploy.setCacheFilePath({ project: 'test', service: 'web' });
+  return deploy;
+};
+
+describe('Rollback', () => {
+  after(() => {
+    rmSync(home, { recursive: true, force: true });
+  });
+
+  it('uploads only files of release which differ from files in the cloud', async () => {
+    mkdirSync(releaseDir, { recursive: true });
+    writeFileSync(resolve(releaseDir, 'index.js'), 'console.log(1);\n');
+    writeFileSync(resolve(releaseDir, 'lib.js'), 'export default 1;\n');
+    // Files in the cloud are the files of release
+    const { cache: cached } = await create(Deploy).checkCache({
+      exclude: [],
+      pwd: '.',
+      service: 'web',
+      cached: [],
+    });
+
+    writeFileSync(resolve(releaseDir, 'lib.js'), 'export default 2;\n');
+    const { files, needUpload } = await create(Rollback).checkCache({
+      exclude: [],
+      pwd: '.',
+      service: 'web',
+      cached,
+    });
+    assert.equal(needUpload, true);
+    assert.deepEqual(
+      files.filter((item) => !item.isDir).map((item) => item.pathRel),
+      ['lib.js']
+    );
+  });
+
+  it('does not run hooks in directory of release', async () => {
+    mkdirSync(releaseDir, { recursive: true });
+    const config = {
+      name: 'test',
+      hooks: { pre_deploy: 'exit 1' },
+      services: { web: { image: 'node', size: 'pico', active: true } },
+    };
+    const deploy = create(Deploy);
+    deploy.config = config;
+    const rollback = create(Rollback);
+    rollback.config = config;
+
+    const params = { name: 'pre_deploy', services: ['web'], project: true };
+    assert.equal(await deploy.runHooks(params), false);
+    assert.equal(await rollback.runHooks(params), true);
+  });
+});
@@ -0,0 +1,128 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { createServer } from 'http';
+import { tmpdir } from 'os';
+import { resolve } from 'path';
+import { UPLOADED_FILE_MESSAGE } from 'conhos-vscode/dist/constants.js';
+
+// Package data dir is taken from home directory when modules are loaded
+const home = mkdtempSync(resolve(tmpdir(), 'conhos-test-'));
+process.env.HOME = home;
+const { default: Deploy } = await import('../../src/core/deploy.js');
+const { default: Progress } = await import('../../src/utils/progress.js');
+
+const cwd = resolve(home, 'project');
+
+/**
+ * Instance without connection to the cloud
+ * @returns {any}
+ */
+const createDeploy = () => {
+  const deploy = Object.create(Deploy.prototype);
+  Object.assign(deploy, {
+    options: {},
+    package: { version: '0.0.0' },
+    connId: 'conn',
+    uploadProgress: new Progress(),
+  });
+  return deploy;
+};
+
+/**
+ * @typedef {import('http').RequestListener} RequestListener
+ */
+
+/**
+ * Server which answers to requests with handler
+ * @param {RequestListener} handler
+ * @returns {Promise<{ url: string; close: () => void }>}
+ */
+const startServer = async (handler) => {
+  const server = createServer(handler);
+  await new Promise((_resolve) => {
+    server.listen(0, () => _resolve(null));
+  });
+  const address = /** @type {import('net').AddressInfo} */ (server.address());
+  return {
+    url: `http://localhost:${address.port}`,
+    close: () => server.close(),
+  };
+};
+
+describe('Upload', () => {
+  before(() => {
+    mkdirSync(cwd, { recursive: true });
+    writeFileSync(resolve(cwd, 'index.js'), 'console.log(1);\n');
+  });
+
+  after(() => {
+    rmSync(home, { recursive: true, force: true });
+  });
+
+  it('streams tarball again when connection is lost', async () => {
+    /**
+     * @type {Buffer[]}
+     */
+    const bodies = [];
+    const server = await startServer((req, res) => {
+      if (bodies.length === 0) {
+        bodies.push(Buffer.alloc(0));
+        req.socket.destroy();
+        return;
+      }
+      /**
+       * @type {Buffer[]}
+       */
+      const chunks = [];
+      req.on('data', (chunk) => chunks.push(chunk));
+      req.on('end', () => {
+        bodies.push(Buffer.concat(chunks));
+        res.end(UPLOADED_FILE_MESSAGE);
+      });
+    });
+
+    await createDeploy().uploadTarball({
+      service: 'web',
+      file: 'test.tgz',
+      cwd,
+      url: server.url,
+      fileList: ['index.js'],
+    });
+    server.close();
+
+    assert.equal(bodies.length, 2);
+    assert.ok(bodies[1].toString().indexOf('console.log(1);') !== -1);
+  });
+
+  it('uploads file with one request when server replies to parts without JSON', async () => {
+    /**
+     * @type {string[]}
+     */
+    const methods = [];
+    const server = await startServer((req, res) => {
+      methods.push(req.method || '');
+      if (req.method === 'GET') {
+        res.end('OK');
+        return;
+      }
+      req.resume();
+      req.on('end', () => {
+        res.end(UPLOADED_FILE_MESSAGE);
+      });
+    });
+
+    const res = await createDeploy().uploadFileRequest({
+      filePath: resolve(cwd, 'index.js'),
+      url: `${server.url}/index.js`,
+      service: 'web',
+      fileName: 'index.js',
+      connId: 'conn',
+      tarball: false,
+    });
+    server.close();
+
+    assert.equal(res.status, 'info');
+    assert.deepEqual(methods, ['GET', 'POST']);
+  });
+});
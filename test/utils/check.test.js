@@ -0,0 +1,42 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import Check from '../../src/utils/check.js';
+import Yaml from '../../src/utils/yaml.js';
+
+const check = new Check();
+const yaml = new Yaml();
+
+describe('Check', () => {
+  describe('checkServicesStatic', () => {
+    it('reports unknown image and size of service at their fields', () => {
+      const config = /** @type {any} */ ({
+        name: 'test',
+        services: {
+          web: { image: 'node', size: 'pico', active: true },
+          db: { image: 'oracle', size: 'huge', active: true },
+        },
+      });
+      const configText = yaml.stringify(config);
+      const res = check.checkServicesStatic({ config, configText });
+      assert.deepEqual(
+        res.map(({ msg, exit }) => ({ msg, exit })),
+        [
+          { msg: 'Service "db" has unknown image "oracle"', exit: true },
+          { msg: 'Service "db" has unknown size "huge"', exit: true },
+        ]
+      );
+      assert.equal(res[0].position.lineStart, configText.split('\n').indexOf('    image: oracle'));
+    });
+
+    it('passes known images and sizes', () => {
+      const config = /** @type {any} */ ({
+        name: 'test',
+        services: { web: { image: 'node', size: 'pico', active: true } },
+      });
+      assert.deepEqual(
+        check.checkServicesStatic({ config, configText: yaml.stringify(config) }),
+        []
+      );
+    });
+  });
+});
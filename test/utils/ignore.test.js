@@ -0,0 +1,100 @@
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { dirname, resolve } from 'path';
+import Ignore from '../../src/utils/ignore.js';
+
+const ignore = new Ignore();
+
+const root = mkdtempSync(resolve(tmpdir(), 'conhos-ignore-'));
+
+/**
+ * Create directory with files, paths are relative to the directory
+ * @param {string} name
+ * @param {Record<string, string>} files
+ * @returns {string} path of directory
+ */
+const createDir = (name, files) => {
+  const dir = resolve(root, name);
+  Object.keys(files).forEach((item) => {
+    const filePath = resolve(dir, item);
+    mkdirSync(dirname(filePath), { recursive: true });
+    writeFileSync(filePath, files[item]);
+  });
+  return dir;
+};
+
+/**
+ * @param {string} dir
+ * @param {string[]} [exclude=[]]
+ */
+const getExcluded = async (dir, exclude = []) => (await ignore.getExcluded(dir, exclude)).sort();
+
+describe('Ignore', () => {
+  after(() => {
+    rmSync(root, { recursive: true, force: true });
+  });
+
+  it('excludes files of .gitignore except negated ones', async () => {
+    const dir = createDir('negation', {
+      '.gitignore': '*.log\n!keep.log\ndist/\n',
+      'error.log': '',
+      'keep.log': '',
+      'index.js': '',
+      'dist/index.js': '',
+    });
+    assert.deepEqual(await getExcluded(dir), ['dist', 'error.log']);
+  });
+
+  it('overrides rules of .gitignore with rules of .conhosignore', async () => {
+    const dir = createDir('override', {
+      '.gitignore': 'build/\n.env\n',
+      '.conhosignore': '!build/\nsecret.txt\n',
+      '.env': '',
+      'secret.txt': '',
+      'build/index.js': '',
+    });
+    assert.deepEqual(await getExcluded(dir), ['.env', 'secret.txt']);
+  });
+
+  it('applies rules of nested ignore files only to their directory', async () => {
+    const dir = createDir('nested', {
+      '.gitignore': '*.log\n',
+      'a.tmp': '',
+      'a.log': '',
+      'sub/.gitignore': '*.tmp\n!important.log\n',
+      'sub/a.tmp': '',
+      'sub/a.log': '',
+      'sub/important.log': '',
+      'sub/deep/b.tmp': '',
+      'sub/deep/b.log': '',
+    });
+    assert.deepEqual(await getExcluded(dir), [
+      'a.log',
+      'sub/a.log',
+      'sub/a.tmp',
+      'sub/deep/b.log',
+      'sub/deep/b.tmp',
+    ]);
+  });
+
+  it('includes files of negated directory which parent is excluded by pattern', async () => {
+    const dir = createDir('parent', {
+      '.gitignore': 'logs/*\n!logs/keep/\n',
+      'logs/a.txt': '',
+      'logs/keep/b.txt': '',
+    });
+    assert.deepEqual(await getExcluded(dir), ['logs/a.txt']);
+  });
+
+  it('does not read paths which are excluded explicitly', async () => {
+    const dir = createDir('explicit', {
+      '.gitignore': '*.log\n',
+      'node_modules/a.log': '',
+      'node_modules/.gitignore': '!*.log\n',
+      'src/a.log': '',
+    });
+    assert.deepEqual(await getExcluded(dir, ['./node_modules']), ['src/a.log']);
+  });
+});
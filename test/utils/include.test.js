@@ -0,0 +1,173 @@
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { resolve } from 'path';
+import Include from '../../src/utils/include.js';
+import Yaml from '../../src/utils/yaml.js';
+
+const include = new Include();
+const yaml = new Yaml();
+
+const dir = mkdtempSync(resolve(tmpdir(), 'conhos-include-'));
+
+/**
+ * @param {string} name
+ * @param {string} text
+ * @returns {string} path of file
+ */
+const write = (name, text) => {
+  const file = resolve(dir, name);
+  writeFileSync(file, text);
+  return file;
+};
+
+/**
+ * @param {string} configFile
+ */
+const resolveFile = (configFile) => {
+  const configText = readFileSync(configFile).toString();
+  return include.resolve({ config: yaml.parse(configText), configText, configFile });
+};
+
+describe('Include', () => {
+  after(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('merges included files under fields of the file', () => {
+    write(
+      'common.yml',
+      ['services:', '  redis:', '    image: redis', '    size: pico', '    active: true'].join('\n')
+    );
+    const configFile = write(
+      'include.yml',
+      [
+        'name: test',
+        'include: common.yml',
+        'services:',
+        '  redis:',
+        '    size: nano',
+        '  web:',
+        '    image: node',
+      ].join('\n')
+    );
+    const { config, error } = resolveFile(configFile);
+    assert.equal(error, null);
+    assert.deepEqual(config, {
+      services: {
+        redis: { image: 'redis', size: 'nano', active: true },
+        web: { image: 'node' },
+      },
+      name: 'test',
+    });
+  });
+
+  it('merges lists of extended template and does not deploy template', () => {
+    write(
+      'templates.yml',
+      [
+        'templates:',
+        '  node:',
+        '    image: node',
+        '    exclude: [node_modules]',
+        '    environment: [PORT=3000, NODE_ENV=production]',
+        '    ports:',
+        '      - port: 3000',
+        '        type: proxy',
+      ].join('\n')
+    );
+    const configFile = write(
+      'extends.yml',
+      [
+        'name: test',
+        'include: templates.yml',
+        'services:',
+        '  api:',
+        '    extends:',
+        '      file: templates.yml',
+        '      service: node',
+        '    exclude: [dist]',
+        '    environment: [NODE_ENV=development, DEBUG=1]',
+        '    ports:',
+        '      - port: 3000',
+        '        type: php',
+        '      - port: 3001',
+        '        type: proxy',
+      ].join('\n')
+    );
+    const { config, error } = resolveFile(configFile);
+    assert.equal(error, null);
+    assert.deepEqual(Object.keys(config.services), ['api']);
+    assert.deepEqual(/** @type {any} */ (config).templates, undefined);
+    assert.deepEqual(config.services.api, {
+      image: 'node',
+      exclude: ['dist'],
+      environment: ['PORT=3000', 'NODE_ENV=development', 'DEBUG=1'],
+      ports: [
+        { port: 3000, type: 'php' },
+        { port: 3001, type: 'proxy' },
+      ],
+    });
+  });
+
+  it('locates fields of resolved config in files where they are set', () => {
+    const templatesFile = resolve(dir, 'templates.yml');
+    const configFile = resolve(dir, 'extends.yml');
+    const { config, origin } = resolveFile(configFile);
+
+    const image = include.getLocation(origin, ['services', 'api', 'image']);
+    assert.equal(image.file, templatesFile);
+    assert.equal(image.position.lineStart, 2);
+
+    const exclude = include.getLocation(origin, ['services', 'api', 'exclude']);
+    assert.equal(exclude.file, configFile);
+    assert.equal(exclude.position.lineStart, 7);
+
+    // The first item of the list is taken from the template, the others from the file
+    const port = include.getLocation(origin, ['services', 'api', 'environment', 0]);
+    assert.equal(port.file, templatesFile);
+    const debug = include.getLocation(origin, ['services', 'api', 'environment', 2]);
+    assert.equal(debug.file, configFile);
+    assert.equal(debug.position.lineStart, 8);
+
+    const resolvedText = yaml.stringify(config);
+    const position = yaml.getPosition(resolvedText, ['services', 'api', 'image']);
+    const imageAt = include.getLocationAt(origin, resolvedText, position);
+    assert.deepEqual(imageAt, image);
+  });
+
+  it('replaces lists by overlay of environment and locates its fields', () => {
+    const configFile = resolve(dir, 'extends.yml');
+    const overlayText = [
+      'services:',
+      '  api:',
+      '    environment: [DEBUG=0]',
+      '    size: nano',
+    ].join('\n');
+    const overlayFile = write('extends.prod.yml', overlayText);
+    const resolved = resolveFile(configFile);
+    const { config, origin } = include.overlay(resolved, {
+      config: yaml.parse(overlayText),
+      configText: overlayText,
+      configFile: overlayFile,
+    });
+    assert.deepEqual(config.services.api.environment, ['DEBUG=0']);
+
+    const size = include.getLocation(origin, ['services', 'api', 'size']);
+    assert.equal(size.file, overlayFile);
+    assert.equal(size.position.lineStart, 3);
+    const exclude = include.getLocation(origin, ['services', 'api', 'exclude']);
+    assert.equal(exclude.file, configFile);
+  });
+
+  it('reports cycle of included files at the field of include', () => {
+    write('cycle-a.yml', 'include: cycle-b.yml\n');
+    const fileB = write('cycle-b.yml', 'name: test\ninclude: cycle-a.yml\n');
+    const { error } = resolveFile(fileB);
+    assert.ok(error);
+    assert.equal(error.msg, 'Cycle of included files');
+    assert.equal(error.file, resolve(dir, 'cycle-a.yml'));
+    assert.equal(error.position.lineStart, 0);
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { interpolateEnv, mergeDeep, retry } from '../../src/utils/lib.js';
+
+describe('retry', () => {
+  it('resolves with result of the first successful attempt', async () => {
+    let calls = 0;
+    /**
+     * @type {number[]}
+     */
+    const attempts = [];
+    const res = await retry(
+      async () => {
+        calls++;
+        if (calls < 3) {
+          throw new Error(`failed ${calls}`);
+        }
+        return 'done';
+      },
+      { retries: 3, delay: 0, onRetry: (_, attempt) => attempts.push(attempt) }
+    );
+    assert.equal(res, 'done');
+    assert.equal(calls, 3);
+    assert.deepEqual(attempts, [1, 2]);
+  });
+
+  it('rejects with the last error when retries are exhausted', async () => {
+    let calls = 0;
+    await assert.rejects(
+      retry(
+        async () => {
+          calls++;
+          throw new Error(`failed ${calls}`);
+        },
+        { retries: 2, delay: 0 }
+      ),
+      { message: 'failed 3' }
+    );
+    assert.equal(calls, 3);
+  });
+
+  it('does not retry when retries are zero', async () => {
+    let calls = 0;
+    await assert.rejects(
+      retry(
+        async () => {
+          calls++;
+          throw new Error('failed');
+        },
+        { retries: 0, delay: 0 }
+      )
+    );
+    assert.equal(calls, 1);
+  });
+});
+
+describe('mergeDeep', () => {
+  it('merges objects, replaces arrays and removes keys with null', () => {
+    const target = {
+      name: 'test',
+      services: {
+        web: { image: 'node', size: 'pico', ports: [{ port: 3000 }], exclude: ['dist'] },
+        db: { image: 'mysql' },
+      },
+    };
+    const res = mergeDeep(target, {
+      services: { web: { size: 'nano', ports: [{ port: 3001 }], exclude: null }, db: null },
+    });
+    assert.deepEqual(res, {
+      name: 'test',
+      services: { web: { image: 'node', size: 'nano', ports: [{ port: 3001 }] } },
+    });
+    // Target is not changed
+    assert.equal(target.services.web.size, 'pico');
+  });
+});
+
+// Expressions of variables are plain strings of config
+/* eslint-disable no-template-curly-in-string */
+describe('interpolateEnv', () => {
+  it('substitutes variables and their defaults', () => {
+    const { value, used, unset } = interpolateEnv('${HOST}:${PORT:-3000}/${PATH_NAME}', {
+      HOST: 'localhost',
+      PORT: '',
+    });
+    assert.equal(value, 'localhost:3000/');
+    assert.deepEqual(used, { HOST: 'localhost' });
+    assert.deepEqual(unset, ['PATH_NAME']);
+  });
+
+  it('reports required variable which is not set and keeps its expression', () => {
+    const { value, missing } = interpolateEnv('${SECRET:?secret is required}', {});
+    assert.equal(value, '${SECRET:?secret is required}');
+    assert.deepEqual(missing, [{ name: 'SECRET', message: 'secret is required' }]);
+  });
+
+  it('replaces $$ with $ or keeps it escaped', () => {
+    const env = { HOME: '/root' };
+    assert.equal(interpolateEnv('$${HOME} ${HOME}', env).value, '${HOME} /root');
+    assert.equal(interpolateEnv('$${HOME} ${HOME}', env, { escape: true }).value, '$${HOME} /root');
+  });
+});
@@ -0,0 +1,57 @@
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { resolve } from 'path';
+import MetadataFile from '../../src/utils/metadata.js';
+
+const metadataFile = new MetadataFile();
+
+const dir = mkdtempSync(resolve(tmpdir(), 'conhos-metadata-'));
+
+/**
+ * @param {string} name
+ * @param {string | null} id
+ * @returns {string} directory of project
+ */
+const createProject = (name, id) => {
+  const projectDir = resolve(dir, name);
+  mkdirSync(resolve(projectDir, '.conhos'), { recursive: true });
+  if (id) {
+    writeFileSync(resolve(projectDir, '.conhos', 'project.json'), JSON.stringify({ id }));
+  }
+  return projectDir;
+};
+
+const config = /** @type {any} */ ({ name: 'test', services: {} });
+
+describe('MetadataFile', () => {
+  after(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('moves entry of directory to the key of project id', () => {
+    const projectDir = createProject('moved', 'id');
+    const metadata = { projects: { [projectDir]: config, [`${projectDir}:prod`]: config } };
+
+    const res = metadataFile.migrate(metadata, projectDir, 'prod');
+    assert.deepEqual(Object.keys(res.projects).sort(), [projectDir, 'id:prod'].sort());
+    // Metadata which is passed is not changed
+    assert.ok(metadata.projects[`${projectDir}:prod`]);
+  });
+
+  it('keeps metadata when project has not id', () => {
+    const projectDir = createProject('new', null);
+    const metadata = { projects: { [projectDir]: config } };
+    assert.equal(metadataFile.migrate(metadata, projectDir), metadata);
+  });
+
+  it('does not overwrite entry of project id', () => {
+    const projectDir = createProject('linked', 'linked-id');
+    const linked = { ...config, name: 'linked' };
+    const metadata = { projects: { [projectDir]: config, 'linked-id': linked } };
+    const res = metadataFile.migrate(metadata, projectDir);
+    assert.equal(res.projects['linked-id'], linked);
+    assert.equal(res.projects[projectDir], config);
+  });
+});
@@ -0,0 +1,57 @@
+import { after, afterEach, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { resolve } from 'path';
+
+// Package data dir is taken from home directory when modules are loaded
+const home = mkdtempSync(resolve(tmpdir(), 'conhos-test-'));
+process.env.HOME = home;
+const { default: Profiles } = await import('../../src/utils/profiles.js');
+const { PROFILE_ENV_NAME } = await import('../../src/utils/constants.js');
+
+const profiles = new Profiles();
+
+describe('Profiles', () => {
+  before(() => {
+    mkdirSync(resolve(home, '.conhos'), { recursive: true });
+  });
+
+  afterEach(() => {
+    delete process.env[PROFILE_ENV_NAME];
+    profiles.setActive('default');
+  });
+
+  after(() => {
+    rmSync(home, { recursive: true, force: true });
+  });
+
+  it('takes default profile when it is not set', () => {
+    assert.equal(profiles.getName(), 'default');
+  });
+
+  it('takes option, then environment variable, then used profile', () => {
+    profiles.setActive('used');
+    assert.equal(profiles.getName(), 'used');
+    process.env[PROFILE_ENV_NAME] = 'env';
+    assert.equal(profiles.getName(), 'env');
+    assert.equal(profiles.getName('option'), 'option');
+  });
+
+  it('exits when name of profile is wrong', () => {
+    const { exit } = process;
+    /**
+     * @type {number | undefined}
+     */
+    let code;
+    process.exit = /** @type {any} */ (
+      (/** @type {number} */ _code) => {
+        code = _code;
+        throw new Error('exit');
+      }
+    );
+    assert.throws(() => profiles.getName('../other'), { message: 'exit' });
+    process.exit = exit;
+    assert.equal(code, 1);
+  });
+});
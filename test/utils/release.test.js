@@ -0,0 +1,88 @@
+import { after, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs, { mkdirSync, mkdtempSync, readFileSync, rmSync, statSync, writeFileSync } from 'fs';
+import { syncBuiltinESMExports } from 'module';
+import { tmpdir } from 'os';
+import { resolve } from 'path';
+
+// Package data dir is taken from home directory when modules are loaded
+const home = mkdtempSync(resolve(tmpdir(), 'conhos-test-'));
+process.env.HOME = home;
+const { default: Release } = await import('../../src/utils/release.js');
+
+const release = new Release();
+
+const cwd = resolve(home, 'project');
+
+/**
+ * @param {string} content
+ */
+const createRelease = (content) => {
+  /**
+   * @type {any}
+   */
+  const file = { pathRel: 'index.js', isDir: false, hash: content, size: 1 };
+  return release.create({
+    project: 'test',
+    config: /** @type {any} */ ({ name: 'test', services: {} }),
+    configText: '',
+    volumes: {},
+    manifest: {
+      web: [file],
+    },
+    dirs: { web: cwd },
+    cwd,
+  });
+};
+
+/**
+ * @param {string} id
+ */
+const getTarballPath = (id) => resolve(release.getPath('test', id), 'web.tgz');
+
+describe('Release', () => {
+  after(() => {
+    rmSync(home, { recursive: true, force: true });
+  });
+
+  it('saves releases of the same time with different ids', async () => {
+    mkdirSync(cwd, { recursive: true });
+    writeFileSync(resolve(cwd, 'index.js'), 'console.log(1);\n');
+    const first = await createRelease('1');
+    const second = await createRelease('1');
+    assert.notEqual(first.id, second.id);
+    assert.deepEqual(
+      (await release.list('test')).map(({ id }) => id),
+      [second.id, first.id]
+    );
+  });
+
+  it('links tarball of service which files are not changed', async () => {
+    const [previous] = await release.list('test');
+    const same = await createRelease('1');
+    assert.equal(statSync(getTarballPath(same.id)).ino, statSync(getTarballPath(previous.id)).ino);
+
+    writeFileSync(resolve(cwd, 'index.js'), 'console.log(2);\n');
+    const changed = await createRelease('2');
+    assert.notEqual(
+      statSync(getTarballPath(changed.id)).ino,
+      statSync(getTarballPath(same.id)).ino
+    );
+  });
+
+  it('copies tarball when file system does not support links', async () => {
+    const [previous] = await release.list('test');
+    mock.method(fs, 'linkSync', () => {
+      throw Object.assign(new Error('cross-device link not permitted'), { code: 'EXDEV' });
+    });
+    syncBuiltinESMExports();
+    const same = await createRelease('2').finally(() => {
+      mock.restoreAll();
+      syncBuiltinESMExports();
+    });
+
+    const tarballPath = getTarballPath(same.id);
+    assert.notEqual(statSync(tarballPath).ino, statSync(getTarballPath(previous.id)).ino);
+    assert.deepEqual(readFileSync(tarballPath), readFileSync(getTarballPath(previous.id)));
+  });
+});
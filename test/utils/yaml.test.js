@@ -0,0 +1,81 @@
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { resolve } from 'path';
+
+// Package data dir is taken from home directory when modules are loaded
+const home = mkdtempSync(resolve(tmpdir(), 'conhos-test-'));
+process.env.HOME = home;
+const { default: WS } = await import('../../src/connectors/ws.js');
+const { default: Yaml } = await import('../../src/utils/yaml.js');
+
+const yaml = new Yaml();
+
+const configFile = resolve(home, 'conhos.yml');
+
+const configText = `# Project of tests
+name: test
+
+x-env: &env
+  - A=1 # shared variable
+
+services:
+  # Service of site
+  web:
+    image: node
+    size: pico # the smallest
+    active: true
+    environment: *env
+  api:
+    image: node
+    size: pico
+    active: true
+    environment: *env
+`;
+
+/**
+ * Config is written over the config text by instance without connection to the cloud
+ * @param {any} config
+ * @returns {string} text of config file
+ */
+const writeConfig = (config) => {
+  writeFileSync(configFile, configText);
+  const ws = Object.create(WS.prototype);
+  Object.assign(ws, { configFile, yaml });
+  ws.writeConfigFile(config);
+  return readFileSync(configFile).toString();
+};
+
+describe('Yaml', () => {
+  after(() => {
+    rmSync(home, { recursive: true, force: true });
+  });
+
+  it('keeps config file when config is not changed', () => {
+    assert.equal(writeConfig(yaml.parse(configText)), configText);
+  });
+
+  it('keeps comments, anchors and aliases when other value is changed', () => {
+    const config = yaml.parse(configText);
+    config.services.web.size = 'nano';
+    const text = writeConfig(config);
+    assert.equal(
+      text,
+      configText.replace('size: pico # the smallest', 'size: nano # the smallest')
+    );
+    assert.deepEqual(yaml.parse(text).services.api.environment, ['A=1']);
+  });
+
+  it('replaces only changed alias with value', () => {
+    const config = yaml.parse(configText);
+    config.services.api.environment = ['A=2'];
+    const text = writeConfig(config);
+    const { services } = yaml.parse(text);
+    assert.deepEqual(services.web.environment, ['A=1']);
+    assert.deepEqual(services.api.environment, ['A=2']);
+    assert.ok(text.indexOf('# shared variable') !== -1);
+    assert.ok(text.indexOf('environment: *env') !== -1);
+    assert.ok(text.indexOf('# Service of site') !== -1);
+  });
+});